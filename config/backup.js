@@ -0,0 +1,180 @@
+// config/backup.js
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { DB_PATH, getDatabase, closeDatabase } = require('./database');
+
+// Where snapshots are written
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(path.dirname(DB_PATH), 'backups');
+
+// How many snapshots to keep when rotating
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION, 10) || 7;
+
+// Snapshot files look like minitracker-2025-01-31T02-00-00-000Z.db
+const SNAPSHOT_PREFIX = path.basename(DB_PATH, path.extname(DB_PATH));
+const SNAPSHOT_PATTERN = new RegExp(`^${SNAPSHOT_PREFIX}-[\\w-]+\\.db$`);
+
+/**
+ * Run SQLite's integrity check against a database file
+ * @param {string} filePath - Database file to check
+ * @returns {Object} Object with ok flag and the problems reported
+ */
+function checkIntegrity(filePath) {
+  let db;
+  try {
+    db = new Database(filePath, { readonly: true, fileMustExist: true });
+    const problems = db
+      .pragma('integrity_check')
+      .map((row) => row.integrity_check)
+      .filter((result) => result !== 'ok');
+    return { ok: problems.length === 0, problems };
+  } catch (err) {
+    return { ok: false, problems: [err.message] };
+  } finally {
+    if (db) {
+      db.close();
+    }
+  }
+}
+
+/**
+ * Resolve a snapshot name to a path inside the backup directory
+ * @param {string} name - Snapshot file name
+ * @returns {string} Absolute snapshot path
+ */
+function resolveSnapshot(name) {
+  const fileName = path.basename(name);
+  if (!SNAPSHOT_PATTERN.test(fileName)) {
+    throw new Error(`"${name}" is not a snapshot file`);
+  }
+  return path.join(BACKUP_DIR, fileName);
+}
+
+/**
+ * List snapshots, newest first
+ * @returns {Array} Array of { name, size, createdAt }
+ */
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) {
+    return [];
+  }
+
+  // Names start with an ISO timestamp, so they sort chronologically
+  return fs
+    .readdirSync(BACKUP_DIR)
+    .filter((name) => SNAPSHOT_PATTERN.test(name))
+    .map((name) => {
+      const stats = fs.statSync(path.join(BACKUP_DIR, name));
+      return { name, size: stats.size, createdAt: stats.mtime.toISOString() };
+    })
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+/**
+ * Delete the oldest snapshots beyond the retention limit
+ * @param {number} keep - Number of snapshots to keep
+ * @returns {Array} Names of the deleted snapshots
+ */
+function rotateBackups(keep = BACKUP_RETENTION) {
+  const expired = listBackups().slice(keep);
+  expired.forEach((snapshot) => fs.unlinkSync(path.join(BACKUP_DIR, snapshot.name)));
+  return expired.map((snapshot) => snapshot.name);
+}
+
+/**
+ * Take a consistent online snapshot with SQLite's backup API.
+ * Safe to run while the server is handling requests.
+ * @param {Object} options - Backup options
+ * @param {string} options.label - Optional tag added to the file name
+ * @param {boolean} options.rotate - Prune old snapshots afterwards (default true)
+ * @returns {Promise<Object>} Snapshot { name, size, createdAt }
+ */
+async function createBackup(options = {}) {
+  const { label, rotate = true } = options;
+
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `${SNAPSHOT_PREFIX}-${timestamp}${label ? `-${label}` : ''}.db`;
+  const destination = path.join(BACKUP_DIR, name);
+
+  await getDatabase().backup(destination);
+
+  // The copy inherits WAL mode; switch it back so a snapshot is one self-contained file
+  const snapshotDb = new Database(destination);
+  snapshotDb.pragma('journal_mode = DELETE');
+  snapshotDb.close();
+
+  const integrity = checkIntegrity(destination);
+  if (!integrity.ok) {
+    fs.unlinkSync(destination);
+    throw new Error(`Backup failed integrity check: ${integrity.problems.join('; ')}`);
+  }
+
+  if (rotate) {
+    rotateBackups();
+  }
+
+  const stats = fs.statSync(destination);
+  return { name, size: stats.size, createdAt: stats.mtime.toISOString() };
+}
+
+/**
+ * Replace the live database with a snapshot.
+ * The snapshot is integrity-checked first and the current database is saved
+ * as a "pre-restore" snapshot. Stop the server before restoring.
+ * @param {string} name - Snapshot file name
+ * @returns {Promise<Object>} Object with the restored and safety snapshot names
+ */
+async function restoreBackup(name) {
+  const source = resolveSnapshot(name);
+  if (!fs.existsSync(source)) {
+    throw new Error(`Snapshot "${name}" not found in ${BACKUP_DIR}`);
+  }
+
+  const integrity = checkIntegrity(source);
+  if (!integrity.ok) {
+    throw new Error(`Snapshot failed integrity check: ${integrity.problems.join('; ')}`);
+  }
+
+  const safety = fs.existsSync(DB_PATH) ? await createBackup({ label: 'pre-restore', rotate: false }) : null;
+  closeDatabase();
+
+  // Copy next to the live file first so the swap itself is a single rename
+  const staging = `${DB_PATH}.restoring`;
+  fs.copyFileSync(source, staging);
+  ['-wal', '-shm'].forEach((suffix) => fs.rmSync(`${DB_PATH}${suffix}`, { force: true }));
+  fs.renameSync(staging, DB_PATH);
+
+  return { restored: path.basename(source), safetyBackup: safety ? safety.name : null };
+}
+
+/**
+ * Take snapshots on a fixed interval
+ * @param {number} intervalHours - Hours between snapshots
+ * @returns {Timeout} Interval handle
+ */
+function scheduleBackups(intervalHours) {
+  const timer = setInterval(
+    () => {
+      createBackup()
+        .then((snapshot) => console.log('Scheduled backup written:', snapshot.name))
+        .catch((err) => console.error('Scheduled backup failed:', err.message));
+    },
+    intervalHours * 60 * 60 * 1000
+  );
+
+  // Don't keep the process alive just for backups
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  BACKUP_DIR,
+  checkIntegrity,
+  listBackups,
+  rotateBackups,
+  createBackup,
+  restoreBackup,
+  scheduleBackups,
+};
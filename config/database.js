@@ -5,25 +5,108 @@ const path = require('path');
 // Database file path
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'database', 'minitracker.db');
 
+// How long a write waits on a locked database before failing (ms)
+const BUSY_TIMEOUT = parseInt(process.env.DB_BUSY_TIMEOUT, 10) || 5000;
+
+// Maximum number of prepared statements kept in the cache
+const STATEMENT_CACHE_SIZE = 200;
+
+// Shared connection and its prepared statements, keyed by SQL text
+let connection = null;
+const statementCache = new Map();
+let shutdownHooksRegistered = false;
+
+/**
+ * Close the shared connection (safe to call more than once)
+ */
+function closeDatabase() {
+  if (!connection) {
+    return;
+  }
+
+  statementCache.clear();
+
+  if (connection.open) {
+    connection.close();
+  }
+
+  connection = null;
+}
+
+/**
+ * Close the shared connection when the process shuts down
+ */
+function registerShutdownHooks() {
+  if (shutdownHooksRegistered) {
+    return;
+  }
+  shutdownHooksRegistered = true;
+
+  process.once('exit', closeDatabase);
+
+  ['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.once(signal, () => {
+      closeDatabase();
+      process.kill(process.pid, signal);
+    });
+  });
+}
+
 /**
- * Get database connection
+ * Get the shared database connection, opening it on first use
  * @returns {Database} Database instance
  */
 function getDatabase() {
+  if (connection && connection.open) {
+    return connection;
+  }
+
   try {
-    const db = new Database(DB_PATH);
+    connection = new Database(DB_PATH);
 
     // Enable foreign keys
-    db.pragma('foreign_keys = ON');
+    connection.pragma('foreign_keys = ON');
+
+    // Let readers and the writer work side by side
+    connection.pragma('journal_mode = WAL');
+    connection.pragma(`busy_timeout = ${BUSY_TIMEOUT}`);
+
+    statementCache.clear();
+    registerShutdownHooks();
 
     console.log('Connected to SQLite database:', DB_PATH);
-    return db;
+    return connection;
   } catch (err) {
+    connection = null;
     console.error('Error opening database:', err.message);
     throw err;
   }
 }
 
+/**
+ * Get a prepared statement from the cache, preparing it on a miss
+ * @param {string} sql - SQL query
+ * @returns {Statement} Prepared statement
+ */
+function prepare(sql) {
+  const db = getDatabase();
+  let statement = statementCache.get(sql);
+
+  if (statement) {
+    // Re-insert so the Map keeps least recently used entries first
+    statementCache.delete(sql);
+  } else {
+    statement = db.prepare(sql);
+
+    if (statementCache.size >= STATEMENT_CACHE_SIZE) {
+      statementCache.delete(statementCache.keys().next().value);
+    }
+  }
+
+  statementCache.set(sql, statement);
+  return statement;
+}
+
 /**
  * Run a query that doesn't return data (INSERT, UPDATE, DELETE)
  * @param {string} sql - SQL query
@@ -31,15 +114,8 @@ function getDatabase() {
  * @returns {Object} Result with lastInsertRowid and changes
  */
 function run(sql, params = []) {
-  const db = getDatabase();
-  try {
-    const result = db.prepare(sql).run(params);
-    db.close();
-    return { lastID: result.lastInsertRowid, changes: result.changes };
-  } catch (err) {
-    db.close();
-    throw err;
-  }
+  const result = prepare(sql).run(params);
+  return { lastID: result.lastInsertRowid, changes: result.changes };
 }
 
 /**
@@ -49,15 +125,7 @@ function run(sql, params = []) {
  * @returns {Object|undefined} Single row or undefined
  */
 function get(sql, params = []) {
-  const db = getDatabase();
-  try {
-    const row = db.prepare(sql).get(params);
-    db.close();
-    return row;
-  } catch (err) {
-    db.close();
-    throw err;
-  }
+  return prepare(sql).get(params);
 }
 
 /**
@@ -67,20 +135,28 @@ function get(sql, params = []) {
  * @returns {Array} Array of rows
  */
 function all(sql, params = []) {
-  const db = getDatabase();
-  try {
-    const rows = db.prepare(sql).all(params);
-    db.close();
-    return rows;
-  } catch (err) {
-    db.close();
-    throw err;
-  }
+  return prepare(sql).all(params);
+}
+
+/**
+ * Run a function inside a single transaction on the shared connection.
+ * Commits when the function returns and rolls back if it throws. Nested calls
+ * become savepoints, so models can compose each other's transactional methods.
+ * The function must be synchronous - an awaited promise would escape the transaction.
+ * @param {Function} fn - Work to run atomically
+ * @returns {*} Whatever fn returns
+ */
+function transaction(fn) {
+  return getDatabase().transaction(fn)();
 }
 
 module.exports = {
+  DB_PATH,
   getDatabase,
+  closeDatabase,
+  prepare,
   run,
   get,
   all,
+  transaction,
 };
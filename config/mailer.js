@@ -0,0 +1,96 @@
+// config/mailer.js
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Where the outbox transport writes messages
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+// Sender address for all outgoing mail
+const MAIL_FROM = process.env.MAIL_FROM || 'MiniTrackingSystem <no-reply@localhost>';
+
+// Base URL used in links inside emails
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+let transport = null;
+
+/**
+ * Pick the transport: MAIL_TRANSPORT if set, otherwise SMTP when SMTP_HOST
+ * is configured and the local outbox directory when it isn't
+ * @returns {string} 'smtp' or 'outbox'
+ */
+function getTransportName() {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  return process.env.SMTP_HOST ? 'smtp' : 'outbox';
+}
+
+/**
+ * Create the nodemailer transport on first use
+ * @returns {Object} Nodemailer transport
+ */
+function getTransport() {
+  if (transport) {
+    return transport;
+  }
+
+  const name = getTransportName();
+
+  if (name === 'smtp') {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    });
+  } else if (name === 'outbox') {
+    // Build the raw message and let sendMail() write it to disk
+    transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use smtp or outbox.`);
+  }
+
+  return transport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<Object>} Object with messageId (and file for the outbox transport)
+ */
+async function sendMail(message) {
+  const info = await getTransport().sendMail({ from: MAIL_FROM, ...message });
+
+  if (getTransportName() !== 'outbox') {
+    return { messageId: info.messageId };
+  }
+
+  fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(OUTBOX_DIR, `${timestamp}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`);
+  fs.writeFileSync(file, info.message);
+
+  console.log(`Email to ${message.to} written to ${file}`);
+  return { messageId: info.messageId, file };
+}
+
+/**
+ * Build an absolute link into the app
+ * @param {string} pathname - Path starting with /
+ * @param {Object} query - Query string parameters
+ * @returns {string} Absolute URL
+ */
+function appUrl(pathname, query = {}) {
+  const search = new URLSearchParams(query).toString();
+  return `${APP_URL}${pathname}${search ? `?${search}` : ''}`;
+}
+
+module.exports = {
+  OUTBOX_DIR,
+  sendMail,
+  appUrl,
+};
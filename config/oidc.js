@@ -0,0 +1,294 @@
+// config/oidc.js
+const crypto = require('crypto');
+const { appUrl } = require('./mailer');
+
+// Scopes requested when a provider doesn't set its own
+const DEFAULT_SCOPES = 'openid email profile';
+
+// Allowed clock skew when checking ID token times (seconds)
+const CLOCK_SKEW = 60;
+
+// Discovery documents and signing keys, cached per provider
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Read provider settings from the environment
+ * OIDC_PROVIDERS=google,discord enables providers configured with
+ * OIDC_GOOGLE_ISSUER, OIDC_GOOGLE_CLIENT_ID, OIDC_GOOGLE_CLIENT_SECRET, ...
+ * @returns {Map} Provider configs keyed by lower-case name
+ */
+function loadProviders() {
+  const providers = new Map();
+
+  (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach((name) => {
+      const env = (key) => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+
+      if (!env('CLIENT_ID') || (!env('ISSUER') && !env('AUTHORIZATION_URL'))) {
+        console.warn(`OIDC provider "${name}" is missing CLIENT_ID or ISSUER and has been skipped`);
+        return;
+      }
+
+      providers.set(name, {
+        name,
+        displayName: env('DISPLAY_NAME') || name,
+        issuer: env('ISSUER')?.replace(/\/$/, ''),
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+        scopes: env('SCOPES') || DEFAULT_SCOPES,
+        // Plain OAuth2 providers have no discovery document, so endpoints can be set directly
+        endpoints: {
+          authorization_endpoint: env('AUTHORIZATION_URL'),
+          token_endpoint: env('TOKEN_URL'),
+          userinfo_endpoint: env('USERINFO_URL'),
+          jwks_uri: env('JWKS_URL'),
+        },
+      });
+    });
+
+  return providers;
+}
+
+const PROVIDERS = loadProviders();
+
+/**
+ * Get a configured provider
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} Provider config
+ */
+function getProvider(name) {
+  return PROVIDERS.get(String(name).toLowerCase());
+}
+
+/**
+ * List configured providers (safe to show to clients)
+ * @returns {Array} Array of { name, displayName }
+ */
+function listProviders() {
+  return [...PROVIDERS.values()].map(({ name, displayName }) => ({ name, displayName }));
+}
+
+/**
+ * Callback URL registered with the provider
+ * @param {Object} provider - Provider config
+ * @returns {string} Absolute redirect URI
+ */
+function getRedirectUri(provider) {
+  return appUrl(`/api/auth/oidc/${provider.name}/callback`);
+}
+
+/**
+ * Fetch JSON, failing on non-2xx responses
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed body
+ */
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(10000),
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}: ${body.error_description || body.error || 'no details'}`);
+  }
+  return body;
+}
+
+/**
+ * Get the provider's endpoints, using OpenID discovery when an issuer is set
+ * @param {Object} provider - Provider config
+ * @returns {Promise<Object>} Endpoints (authorization_endpoint, token_endpoint, ...)
+ */
+async function getEndpoints(provider) {
+  if (!provider.issuer) {
+    return provider.endpoints;
+  }
+
+  if (!discoveryCache.has(provider.name)) {
+    const discovered = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (discovered.issuer.replace(/\/$/, '') !== provider.issuer) {
+      throw new Error(`Discovery issuer ${discovered.issuer} does not match ${provider.issuer}`);
+    }
+    discoveryCache.set(provider.name, discovered);
+  }
+
+  // Explicit settings win over discovered ones
+  const explicit = Object.fromEntries(Object.entries(provider.endpoints).filter(([, value]) => value));
+  return { ...discoveryCache.get(provider.name), ...explicit };
+}
+
+/**
+ * Start a login: build the provider's authorization URL and the state to keep in the session
+ * @param {Object} provider - Provider config
+ * @returns {Promise<Object>} Object with url and flow state ({ state, nonce, codeVerifier })
+ */
+async function createAuthorizationRequest(provider) {
+  const endpoints = await getEndpoints(provider);
+
+  const flow = {
+    state: crypto.randomBytes(16).toString('base64url'),
+    nonce: crypto.randomBytes(16).toString('base64url'),
+    codeVerifier: crypto.randomBytes(32).toString('base64url'),
+  };
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    scope: provider.scopes,
+    state: flow.state,
+    nonce: flow.nonce,
+    // PKCE (RFC 7636)
+    code_challenge: crypto.createHash('sha256').update(flow.codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  });
+
+  return { url: `${endpoints.authorization_endpoint}?${params}`, flow };
+}
+
+/**
+ * Find the key that signed an ID token
+ * @param {Object} provider - Provider config
+ * @param {Object} endpoints - Provider endpoints
+ * @param {Object} header - Decoded JWT header
+ * @returns {Promise<Object>} KeyObject
+ */
+async function getSigningKey(provider, endpoints, header) {
+  if (header.alg === 'HS256') {
+    return crypto.createSecretKey(Buffer.from(provider.clientSecret || ''));
+  }
+
+  const findKey = () => (jwksCache.get(provider.name) || []).find((key) => !header.kid || key.kid === header.kid);
+
+  // Fetch the key set again if the provider has rotated keys
+  if (!findKey()) {
+    const { keys } = await fetchJson(endpoints.jwks_uri);
+    jwksCache.set(provider.name, keys);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error(`No signing key found for kid ${header.kid}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {Object} provider - Provider config
+ * @param {Object} endpoints - Provider endpoints
+ * @param {string} idToken - Compact JWT
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Token claims
+ */
+async function verifyIdToken(provider, endpoints, idToken, nonce) {
+  const [encodedHeader, encodedPayload, encodedSignature] = idToken.split('.');
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+  const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+
+  const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  const key = await getSigningKey(provider, endpoints, header);
+
+  let valid;
+  if (header.alg === 'HS256') {
+    const expected = crypto.createHmac('sha256', key).update(signed).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === 'RS256') {
+    valid = crypto.verify('sha256', signed, key, signature);
+  } else if (header.alg === 'ES256') {
+    valid = crypto.verify('sha256', signed, { key, dsaEncoding: 'ieee-p1363' }, signature);
+  } else {
+    throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+  }
+
+  if (!valid) {
+    throw new Error('ID token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = [].concat(claims.aud);
+
+  if (endpoints.issuer && claims.iss !== endpoints.issuer) {
+    throw new Error(`ID token issuer ${claims.iss} does not match ${endpoints.issuer}`);
+  }
+  if (!audiences.includes(provider.clientId)) {
+    throw new Error('ID token was issued to a different client');
+  }
+  if (claims.exp + CLOCK_SKEW < now) {
+    throw new Error('ID token has expired');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+}
+
+/**
+ * Finish a login: exchange the authorization code and return the user's claims
+ * @param {Object} provider - Provider config
+ * @param {string} code - Authorization code from the callback
+ * @param {Object} flow - State saved by createAuthorizationRequest()
+ * @returns {Promise<Object>} Normalized identity { subject, email, emailVerified, username, name }
+ */
+async function completeAuthorization(provider, code, flow) {
+  const endpoints = await getEndpoints(provider);
+
+  const tokens = await fetchJson(endpoints.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getRedirectUri(provider),
+      client_id: provider.clientId,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+      code_verifier: flow.codeVerifier,
+    }),
+  });
+
+  let claims = {};
+  if (tokens.id_token) {
+    claims = await verifyIdToken(provider, endpoints, tokens.id_token, flow.nonce);
+  }
+
+  // Plain OAuth2 providers (and OIDC providers with thin ID tokens) describe the user here
+  if (endpoints.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(endpoints.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+
+    if (claims.sub && userinfo.sub && userinfo.sub !== claims.sub) {
+      throw new Error('Userinfo subject does not match the ID token');
+    }
+    claims = { ...userinfo, ...claims };
+  }
+
+  const subject = claims.sub ?? claims.id;
+  if (!subject) {
+    throw new Error('Provider did not return a user identifier');
+  }
+
+  return {
+    subject: String(subject),
+    email: claims.email || null,
+    emailVerified: claims.email_verified === true || claims.verified === true,
+    username: claims.preferred_username || claims.username || claims.nickname || null,
+    name: claims.name || null,
+  };
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization,
+};
@@ -0,0 +1,256 @@
+// config/sessionStore.js
+const session = require('express-session');
+const { get, run, all } = require('./database');
+
+// Fallback lifetime for sessions whose cookie has no expiry (24 hours)
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+// How often expired sessions are purged (15 minutes)
+const DEFAULT_CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+/**
+ * SQLite Session Store
+ * Persists express-session data in the sessions table so logins survive restarts
+ */
+class SQLiteStore extends session.Store {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttl - Lifetime (ms) for sessions without a cookie expiry
+   * @param {number} options.cleanupInterval - Expired session purge interval (ms), 0 to disable
+   */
+  constructor(options = {}) {
+    super();
+
+    this.ttl = options.ttl || DEFAULT_TTL;
+    const cleanupInterval = options.cleanupInterval ?? DEFAULT_CLEANUP_INTERVAL;
+
+    if (cleanupInterval > 0) {
+      this.cleanupTimer = setInterval(() => this.clearExpired(), cleanupInterval);
+      // Don't keep the process alive just to clean sessions
+      this.cleanupTimer.unref();
+    }
+  }
+
+  /**
+   * Work out when a session expires
+   * @param {Object} sess - Session data
+   * @returns {number} Expiry timestamp in ms
+   */
+  getExpiry(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+      return new Date(sess.cookie.expires).getTime();
+    }
+    return Date.now() + this.ttl;
+  }
+
+  /**
+   * Fetch a session by ID
+   * @param {string} sid - Session ID
+   * @param {Function} callback - (err, session)
+   */
+  get(sid, callback) {
+    try {
+      const row = get('SELECT sess FROM sessions WHERE sid = ? AND expires > ?', [sid, Date.now()]);
+      callback(null, row ? JSON.parse(row.sess) : null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Create or replace a session
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data
+   * @param {Function} callback - (err)
+   */
+  set(sid, sess, callback = () => {}) {
+    try {
+      const client = sess.client || {};
+      const now = Date.now();
+
+      run(
+        `
+        INSERT INTO sessions (sid, sess, expires, public_id, user_id, user_agent, ip, created_at, last_seen_at)
+        VALUES (?, ?, ?, lower(hex(randomblob(8))), ?, ?, ?, ?, ?)
+        ON CONFLICT(sid) DO UPDATE SET
+          sess = excluded.sess,
+          expires = excluded.expires,
+          user_id = excluded.user_id,
+          user_agent = excluded.user_agent,
+          ip = excluded.ip,
+          created_at = excluded.created_at,
+          last_seen_at = excluded.last_seen_at
+      `,
+        [
+          sid,
+          JSON.stringify(sess),
+          this.getExpiry(sess),
+          sess.userId || null,
+          client.userAgent || null,
+          client.ip || null,
+          client.loggedInAt || now,
+          now,
+        ]
+      );
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Extend a session's expiry without rewriting its data (and record activity)
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data
+   * @param {Function} callback - (err)
+   */
+  touch(sid, sess, callback = () => {}) {
+    try {
+      run('UPDATE sessions SET expires = ?, last_seen_at = ? WHERE sid = ?', [this.getExpiry(sess), Date.now(), sid]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Delete a session
+   * @param {string} sid - Session ID
+   * @param {Function} callback - (err)
+   */
+  destroy(sid, callback = () => {}) {
+    try {
+      run('DELETE FROM sessions WHERE sid = ?', [sid]);
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Count active sessions
+   * @param {Function} callback - (err, count)
+   */
+  length(callback) {
+    try {
+      const result = get('SELECT COUNT(*) as count FROM sessions WHERE expires > ?', [Date.now()]);
+      callback(null, result.count);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Get all active sessions
+   * @param {Function} callback - (err, sessions keyed by ID)
+   */
+  all(callback) {
+    try {
+      const rows = all('SELECT sid, sess FROM sessions WHERE expires > ?', [Date.now()]);
+      const sessions = {};
+      rows.forEach((row) => {
+        sessions[row.sid] = JSON.parse(row.sess);
+      });
+      callback(null, sessions);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Delete every session
+   * @param {Function} callback - (err)
+   */
+  clear(callback = () => {}) {
+    try {
+      run('DELETE FROM sessions');
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Describe the client a login came from, to store in the session as `client`
+   * @param {Object} req - Express request
+   * @returns {Object} Object with userAgent, ip and loggedInAt
+   */
+  static describeClient(req) {
+    return {
+      userAgent: req.get('user-agent') || null,
+      ip: req.ip,
+      loggedInAt: Date.now(),
+    };
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {number} userId - User ID
+   * @returns {Array} Array of { id, sid, userAgent, ip, createdAt, lastSeenAt }
+   */
+  static getUserSessions(userId) {
+    const rows = all(
+      `
+      SELECT sid, public_id, user_agent, ip, created_at, last_seen_at
+      FROM sessions
+      WHERE user_id = ? AND expires > ?
+      ORDER BY last_seen_at DESC
+    `,
+      [userId, Date.now()]
+    );
+
+    return rows.map((row) => ({
+      id: row.public_id,
+      sid: row.sid,
+      userAgent: row.user_agent,
+      ip: row.ip,
+      createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+      lastSeenAt: row.last_seen_at ? new Date(row.last_seen_at).toISOString() : null,
+    }));
+  }
+
+  /**
+   * End one of a user's sessions
+   * @param {number} userId - User ID
+   * @param {string} publicId - Session's public ID
+   * @returns {boolean} True if a session was removed
+   */
+  static destroyUserSession(userId, publicId) {
+    return run('DELETE FROM sessions WHERE user_id = ? AND public_id = ?', [userId, publicId]).changes > 0;
+  }
+
+  /**
+   * Log a user out everywhere by deleting all of their sessions
+   * @param {number} userId - User ID
+   * @param {string} exceptSid - Session ID to keep (e.g. the current one)
+   * @returns {number} Number of sessions removed
+   */
+  static destroyUserSessions(userId, exceptSid = null) {
+    return run('DELETE FROM sessions WHERE user_id = ? AND sid IS NOT ?', [userId, exceptSid]).changes;
+  }
+
+  /**
+   * Purge expired sessions
+   * @returns {number} Number of sessions removed
+   */
+  clearExpired() {
+    try {
+      return run('DELETE FROM sessions WHERE expires <= ?', [Date.now()]).changes;
+    } catch (err) {
+      console.error('Session cleanup error:', err.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Stop the cleanup timer
+   */
+  close() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+module.exports = SQLiteStore;
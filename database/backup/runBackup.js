@@ -0,0 +1,100 @@
+// database/backup/runBackup.js
+const {
+  BACKUP_DIR,
+  checkIntegrity,
+  listBackups,
+  createBackup,
+  restoreBackup,
+  rotateBackups,
+} = require('../../config/backup');
+const { closeDatabase } = require('../../config/database');
+
+async function backupDatabase() {
+  console.log('Backing up database...');
+
+  try {
+    const snapshot = await createBackup();
+    closeDatabase();
+    console.log(`✅ Backup written to ${BACKUP_DIR}/${snapshot.name} (${snapshot.size} bytes)`);
+  } catch (error) {
+    console.error('❌ Backup failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function printBackups() {
+  const snapshots = listBackups();
+
+  if (snapshots.length === 0) {
+    console.log(`No snapshots in ${BACKUP_DIR}`);
+    return;
+  }
+
+  console.log(`Snapshots in ${BACKUP_DIR} (newest first):`);
+  snapshots.forEach((snapshot) => {
+    console.log(`  ${snapshot.name}  ${snapshot.size} bytes`);
+  });
+}
+
+async function restoreDatabase(name) {
+  if (!name) {
+    console.error('❌ Choose a snapshot to restore, e.g. npm run db:restore -- <snapshot name>');
+    await printBackups();
+    process.exit(1);
+  }
+
+  console.log(`Restoring database from ${name}...`);
+  console.log('⚠️  Make sure the server is stopped before restoring.');
+
+  try {
+    const result = await restoreBackup(name);
+    if (result.safetyBackup) {
+      console.log(`Previous database saved as ${result.safetyBackup}`);
+    }
+    console.log(`✅ Database restored from ${result.restored}`);
+  } catch (error) {
+    console.error('❌ Restore failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function verifyBackups() {
+  const snapshots = listBackups();
+  let failed = 0;
+
+  snapshots.forEach((snapshot) => {
+    const integrity = checkIntegrity(`${BACKUP_DIR}/${snapshot.name}`);
+    if (!integrity.ok) {
+      failed += 1;
+    }
+    console.log(`  ${integrity.ok ? '✅' : '❌'} ${snapshot.name}${integrity.ok ? '' : `: ${integrity.problems[0]}`}`);
+  });
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+}
+
+// Run if this file is executed directly
+// Usage: node runBackup.js [create | list | verify | prune [keep] | restore <snapshot>]
+if (require.main === module) {
+  const [command = 'create', arg] = process.argv.slice(2);
+
+  if (command === 'create') {
+    backupDatabase();
+  } else if (command === 'list') {
+    printBackups();
+  } else if (command === 'verify') {
+    verifyBackups();
+  } else if (command === 'prune') {
+    const removed = rotateBackups(parseInt(arg, 10) || undefined);
+    console.log(`✅ Removed ${removed.length} old snapshot(s)`);
+  } else if (command === 'restore') {
+    restoreDatabase(arg);
+  } else {
+    console.error(`Unknown command "${command}". Use create, list, verify, prune [keep] or restore <snapshot>.`);
+    process.exit(1);
+  }
+}
+
+module.exports = { backupDatabase, printBackups, restoreDatabase, verifyBackups };
@@ -1,5 +1,5 @@
 -- sqlite
--- database/migration/001_initial_schema.sql
+-- database/migrations/001_initial_schema.sql
 
 -- Users Table
 
@@ -97,3 +97,13 @@ CREATE TABLE IF NOT EXISTS metadata (
 );
 
 CREATE INDEX IF NOT EXISTS idx_metadata_list_item_id ON metadata(list_item_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS metadata;
+DROP TABLE IF EXISTS list_items;
+DROP TABLE IF EXISTS lists;
+DROP TABLE IF EXISTS miniatures;
+DROP TABLE IF EXISTS unit_types;
+DROP TABLE IF EXISTS factions;
+DROP TABLE IF EXISTS users;
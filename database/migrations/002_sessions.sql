@@ -0,0 +1,15 @@
+-- sqlite
+-- database/migrations/002_sessions.sql
+
+-- Sessions table (express-session store)
+CREATE TABLE IF NOT EXISTS sessions (
+    sid TEXT PRIMARY KEY,
+    sess TEXT NOT NULL,
+    expires INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,14 @@
+-- sqlite
+-- database/migrations/003_seed_packs.sql
+
+-- Seed packs table (catalog data packs applied by db:seed)
+CREATE TABLE IF NOT EXISTS seed_packs (
+    name TEXT PRIMARY KEY,
+    version TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS seed_packs;
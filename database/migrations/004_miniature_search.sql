@@ -0,0 +1,80 @@
+-- sqlite
+-- database/migrations/004_miniature_search.sql
+
+-- Full-text index over miniatures (rowid = miniatures.id)
+CREATE VIRTUAL TABLE IF NOT EXISTS miniatures_fts USING fts5(
+    name,
+    description,
+    faction_name,
+    unit_type_name,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+-- Trigram index over names, used as a typo-tolerant fallback
+CREATE VIRTUAL TABLE IF NOT EXISTS miniatures_fuzzy USING fts5(
+    name,
+    tokenize = 'trigram'
+);
+
+-- Keep both indexes in sync with miniatures
+CREATE TRIGGER IF NOT EXISTS miniatures_search_ai AFTER INSERT ON miniatures BEGIN
+    INSERT INTO miniatures_fts (rowid, name, description, faction_name, unit_type_name)
+    VALUES (
+        new.id,
+        new.name,
+        new.description,
+        (SELECT name FROM factions WHERE id = new.faction_id),
+        (SELECT name FROM unit_types WHERE id = new.unit_type_id)
+    );
+    INSERT INTO miniatures_fuzzy (rowid, name) VALUES (new.id, new.name);
+END;
+
+CREATE TRIGGER IF NOT EXISTS miniatures_search_au AFTER UPDATE ON miniatures BEGIN
+    DELETE FROM miniatures_fts WHERE rowid = old.id;
+    DELETE FROM miniatures_fuzzy WHERE rowid = old.id;
+    INSERT INTO miniatures_fts (rowid, name, description, faction_name, unit_type_name)
+    VALUES (
+        new.id,
+        new.name,
+        new.description,
+        (SELECT name FROM factions WHERE id = new.faction_id),
+        (SELECT name FROM unit_types WHERE id = new.unit_type_id)
+    );
+    INSERT INTO miniatures_fuzzy (rowid, name) VALUES (new.id, new.name);
+END;
+
+CREATE TRIGGER IF NOT EXISTS miniatures_search_ad AFTER DELETE ON miniatures BEGIN
+    DELETE FROM miniatures_fts WHERE rowid = old.id;
+    DELETE FROM miniatures_fuzzy WHERE rowid = old.id;
+END;
+
+-- Renaming a faction or unit type updates the miniatures that use it
+CREATE TRIGGER IF NOT EXISTS factions_search_au AFTER UPDATE OF name ON factions BEGIN
+    UPDATE miniatures_fts SET faction_name = new.name
+    WHERE rowid IN (SELECT id FROM miniatures WHERE faction_id = new.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS unit_types_search_au AFTER UPDATE OF name ON unit_types BEGIN
+    UPDATE miniatures_fts SET unit_type_name = new.name
+    WHERE rowid IN (SELECT id FROM miniatures WHERE unit_type_id = new.id);
+END;
+
+-- Index the existing catalog
+INSERT INTO miniatures_fts (rowid, name, description, faction_name, unit_type_name)
+SELECT m.id, m.name, m.description, f.name, ut.name
+FROM miniatures m
+LEFT JOIN factions f ON m.faction_id = f.id
+LEFT JOIN unit_types ut ON m.unit_type_id = ut.id;
+
+INSERT INTO miniatures_fuzzy (rowid, name)
+SELECT id, name FROM miniatures;
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS unit_types_search_au;
+DROP TRIGGER IF EXISTS factions_search_au;
+DROP TRIGGER IF EXISTS miniatures_search_ad;
+DROP TRIGGER IF EXISTS miniatures_search_au;
+DROP TRIGGER IF EXISTS miniatures_search_ai;
+DROP TABLE IF EXISTS miniatures_fuzzy;
+DROP TABLE IF EXISTS miniatures_fts;
@@ -0,0 +1,21 @@
+-- sqlite
+-- database/migrations/005_api_tokens.sql
+
+-- Personal access tokens (only a SHA-256 hash of each token is stored)
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_prefix TEXT NOT NULL,
+    scope TEXT CHECK(scope IN ('read', 'read-write')) DEFAULT 'read',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS api_tokens;
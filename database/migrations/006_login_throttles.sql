@@ -0,0 +1,17 @@
+-- sqlite
+-- database/migrations/006_login_throttles.sql
+
+-- Failed login tracking per IP ('ip:<address>') and per account ('account:<username>')
+-- Timestamps are milliseconds since the epoch
+CREATE TABLE IF NOT EXISTS login_throttles (
+    key TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_failure_at INTEGER NOT NULL,
+    blocked_until INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_throttles_last_failure ON login_throttles(last_failure_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS login_throttles;
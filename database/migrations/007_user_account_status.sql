@@ -0,0 +1,11 @@
+-- sqlite
+-- database/migrations/007_user_account_status.sql
+
+-- Admin-managed account status
+ALTER TABLE users ADD COLUMN is_disabled BOOLEAN DEFAULT 0;
+ALTER TABLE users ADD COLUMN must_change_password BOOLEAN DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE users DROP COLUMN must_change_password;
+ALTER TABLE users DROP COLUMN is_disabled;
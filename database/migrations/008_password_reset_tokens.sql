@@ -0,0 +1,20 @@
+-- sqlite
+-- database/migrations/008_password_reset_tokens.sql
+
+-- Single-use password reset tokens (only a SHA-256 hash of each token is stored)
+-- expires_at is milliseconds since the epoch
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at INTEGER NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS password_reset_tokens;
@@ -0,0 +1,18 @@
+-- sqlite
+-- database/migrations/009_email_verification.sql
+
+-- Email verification state
+-- pending_email holds a changed address until its verification link is used
+-- verification_sent_at is milliseconds since the epoch (for resend throttling)
+ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT 0;
+ALTER TABLE users ADD COLUMN pending_email TEXT;
+ALTER TABLE users ADD COLUMN verification_sent_at INTEGER;
+
+-- Accounts created before verification existed keep working as before
+UPDATE users SET email_verified = 1;
+
+-- migrate:down
+
+ALTER TABLE users DROP COLUMN verification_sent_at;
+ALTER TABLE users DROP COLUMN pending_email;
+ALTER TABLE users DROP COLUMN email_verified;
@@ -0,0 +1,23 @@
+-- sqlite
+-- database/migrations/011_user_identities.sql
+
+-- External (OIDC/OAuth2) identities linked to local accounts
+-- subject is the provider's stable user ID (the "sub" claim)
+CREATE TABLE IF NOT EXISTS user_identities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    provider TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    email TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(provider, subject),
+    UNIQUE(user_id, provider)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS user_identities;
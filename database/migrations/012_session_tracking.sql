@@ -0,0 +1,30 @@
+-- sqlite
+-- database/migrations/012_session_tracking.sql
+
+-- Per-user session tracking, so users can see and end their sessions
+-- public_id identifies a session to its user without revealing the cookie value
+-- created_at and last_seen_at are milliseconds since the epoch
+ALTER TABLE sessions ADD COLUMN public_id TEXT;
+ALTER TABLE sessions ADD COLUMN user_id INTEGER;
+ALTER TABLE sessions ADD COLUMN user_agent TEXT;
+ALTER TABLE sessions ADD COLUMN ip TEXT;
+ALTER TABLE sessions ADD COLUMN created_at INTEGER;
+ALTER TABLE sessions ADD COLUMN last_seen_at INTEGER;
+
+UPDATE sessions
+SET public_id = lower(hex(randomblob(8))),
+    user_id = json_extract(sess, '$.userId');
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_public_id ON sessions(public_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_sessions_user_id;
+DROP INDEX IF EXISTS idx_sessions_public_id;
+ALTER TABLE sessions DROP COLUMN last_seen_at;
+ALTER TABLE sessions DROP COLUMN created_at;
+ALTER TABLE sessions DROP COLUMN ip;
+ALTER TABLE sessions DROP COLUMN user_agent;
+ALTER TABLE sessions DROP COLUMN user_id;
+ALTER TABLE sessions DROP COLUMN public_id;
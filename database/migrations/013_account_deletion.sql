@@ -0,0 +1,10 @@
+-- sqlite
+-- database/migrations/013_account_deletion.sql
+
+-- Self-service account deletion: when set, the account is purged at this time
+-- (milliseconds since the epoch) unless the user cancels first
+ALTER TABLE users ADD COLUMN deletion_scheduled_at INTEGER;
+
+-- migrate:down
+
+ALTER TABLE users DROP COLUMN deletion_scheduled_at;
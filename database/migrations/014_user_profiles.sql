@@ -0,0 +1,16 @@
+-- sqlite
+-- database/migrations/014_user_profiles.sql
+
+-- Public profile fields shown at GET /api/users/:username
+-- profile_hidden turns the profile page off entirely (public lists stay public)
+ALTER TABLE users ADD COLUMN display_name TEXT;
+ALTER TABLE users ADD COLUMN bio TEXT;
+ALTER TABLE users ADD COLUMN avatar_url TEXT;
+ALTER TABLE users ADD COLUMN profile_hidden BOOLEAN DEFAULT 0;
+
+-- migrate:down
+
+ALTER TABLE users DROP COLUMN profile_hidden;
+ALTER TABLE users DROP COLUMN avatar_url;
+ALTER TABLE users DROP COLUMN bio;
+ALTER TABLE users DROP COLUMN display_name;
@@ -0,0 +1,46 @@
+-- sqlite
+-- database/migrations/015_roles.sql
+
+-- Roles grant permissions on top of a regular account
+-- (admins, flagged with users.is_admin, have every permission)
+CREATE TABLE IF NOT EXISTS roles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INTEGER NOT NULL,
+    permission TEXT NOT NULL,
+    PRIMARY KEY (role_id, permission),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INTEGER NOT NULL,
+    role_id INTEGER NOT NULL,
+    assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, role_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role_id ON user_roles(role_id);
+
+-- Built-in roles
+INSERT OR IGNORE INTO roles (name, description) VALUES
+    ('catalog_editor', 'Curates the miniature catalog (factions, unit types and miniatures)'),
+    ('moderator', 'Looks after user accounts (view, disable, force password resets)');
+
+INSERT OR IGNORE INTO role_permissions (role_id, permission)
+    SELECT id, 'catalog:write' FROM roles WHERE name = 'catalog_editor';
+
+INSERT OR IGNORE INTO role_permissions (role_id, permission)
+    SELECT id, permission FROM roles, (SELECT 'users:read' AS permission UNION ALL SELECT 'users:manage')
+    WHERE name = 'moderator';
+
+-- migrate:down
+
+DROP TABLE IF EXISTS user_roles;
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS roles;
@@ -0,0 +1,18 @@
+-- sqlite
+-- database/migrations/016_user_preferences.sql
+
+-- Per-user preferences; a NULL column (or no row at all) means the server default
+CREATE TABLE IF NOT EXISTS user_preferences (
+    user_id INTEGER PRIMARY KEY,
+    default_list_visibility TEXT,
+    currency TEXT,
+    date_format TEXT,
+    item_sort TEXT,
+    page_size INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS user_preferences;
@@ -0,0 +1,22 @@
+-- sqlite
+-- database/migrations/017_list_collaborators.sql
+
+-- Users a list is shared with, besides its owner
+-- viewers can see a private list; editors can also change its items and their metadata
+CREATE TABLE IF NOT EXISTS list_collaborators (
+    list_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT CHECK(role IN ('viewer', 'editor')) NOT NULL DEFAULT 'viewer',
+    invited_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, user_id),
+    FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_collaborators_user_id ON list_collaborators(user_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS list_collaborators;
@@ -0,0 +1,27 @@
+-- sqlite
+-- database/migrations/018_list_visibility.sql
+
+-- Lists are private, unlisted (reachable only through a secret share link) or public
+-- share_token is set exactly while a list is unlisted; rotating it breaks old links
+ALTER TABLE lists ADD COLUMN visibility TEXT CHECK(visibility IN ('private', 'unlisted', 'public')) NOT NULL DEFAULT 'private';
+ALTER TABLE lists ADD COLUMN share_token TEXT;
+
+UPDATE lists SET visibility = CASE WHEN is_public = 1 THEN 'public' ELSE 'private' END;
+
+DROP INDEX IF EXISTS idx_lists_is_public;
+ALTER TABLE lists DROP COLUMN is_public;
+
+CREATE INDEX IF NOT EXISTS idx_lists_visibility ON lists(visibility);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lists_share_token ON lists(share_token);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_lists_share_token;
+DROP INDEX IF EXISTS idx_lists_visibility;
+
+ALTER TABLE lists ADD COLUMN is_public BOOLEAN DEFAULT 0;
+UPDATE lists SET is_public = CASE WHEN visibility = 'public' THEN 1 ELSE 0 END;
+CREATE INDEX IF NOT EXISTS idx_lists_is_public ON lists(is_public);
+
+ALTER TABLE lists DROP COLUMN share_token;
+ALTER TABLE lists DROP COLUMN visibility;
@@ -0,0 +1,12 @@
+-- sqlite
+-- database/migrations/019_list_forks.sql
+
+-- The list a list was cloned from (NULL for lists started from scratch, or once the source is deleted)
+ALTER TABLE lists ADD COLUMN forked_from_list_id INTEGER REFERENCES lists(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_lists_forked_from_list_id ON lists(forked_from_list_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_lists_forked_from_list_id;
+ALTER TABLE lists DROP COLUMN forked_from_list_id;
@@ -0,0 +1,29 @@
+-- sqlite
+-- database/migrations/020_list_folders.sql
+
+-- Folders a user organises their lists into; a folder can sit inside another folder (parent_id)
+CREATE TABLE IF NOT EXISTS list_folders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    parent_id INTEGER,
+    name TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES list_folders(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_folders_user_id ON list_folders(user_id);
+CREATE INDEX IF NOT EXISTS idx_list_folders_parent_id ON list_folders(parent_id);
+
+-- The folder a list is in (NULL for lists at the top level)
+ALTER TABLE lists ADD COLUMN folder_id INTEGER REFERENCES list_folders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_lists_folder_id ON lists(folder_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_lists_folder_id;
+ALTER TABLE lists DROP COLUMN folder_id;
+
+DROP TABLE IF EXISTS list_folders;
@@ -0,0 +1,22 @@
+-- sqlite
+-- database/migrations/021_metadata_currency.sql
+
+-- The currency an item's cost was entered in (ISO 4217 code), so changing the
+-- owner's currency preference later doesn't relabel costs already saved
+ALTER TABLE metadata ADD COLUMN currency TEXT;
+
+-- Existing costs were entered in the list owner's current preference (USD by default)
+UPDATE metadata SET currency = COALESCE(
+    (
+        SELECT up.currency
+        FROM list_items li
+        INNER JOIN lists l ON li.list_id = l.id
+        INNER JOIN user_preferences up ON up.user_id = l.user_id
+        WHERE li.id = metadata.list_item_id
+    ),
+    'USD'
+);
+
+-- migrate:down
+
+ALTER TABLE metadata DROP COLUMN currency;
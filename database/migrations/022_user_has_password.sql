@@ -0,0 +1,20 @@
+-- sqlite
+-- database/migrations/022_user_has_password.sql
+
+-- Accounts created by an external login get a random password nobody knows;
+-- has_password stays 0 until the owner sets one (with a reset link)
+ALTER TABLE users ADD COLUMN has_password INTEGER NOT NULL DEFAULT 1;
+
+-- Existing accounts whose identity was linked as the account was created,
+-- and that never used a reset link, never had a password of their own
+UPDATE users SET has_password = 0
+WHERE EXISTS (
+    SELECT 1 FROM user_identities ui WHERE ui.user_id = users.id AND ui.created_at = users.created_at
+)
+AND NOT EXISTS (
+    SELECT 1 FROM password_reset_tokens prt WHERE prt.user_id = users.id AND prt.used_at IS NOT NULL
+);
+
+-- migrate:down
+
+ALTER TABLE users DROP COLUMN has_password;
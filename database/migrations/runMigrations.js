@@ -1,41 +1,287 @@
+// database/migrations/runMigrations.js
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { getDatabase } = require('../../config/database');
+const { getDatabase, closeDatabase } = require('../../config/database');
 
 const MIGRATIONS_DIR = __dirname;
 
+// Migration files look like 001_initial_schema.sql or 002_add_column.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// Separates the up and down halves of a .sql migration
+const SQL_DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+/**
+ * Create the schema_migrations ledger if it doesn't exist yet
+ * @param {Database} db - Database instance
+ */
+function ensureLedger(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Split a .sql migration into its up and down scripts
+ * @param {string} source - File contents
+ * @returns {Object} Object with up and down SQL (down is null when absent)
+ */
+function parseSqlMigration(source) {
+  const [up, down] = source.split(SQL_DOWN_MARKER);
+  return {
+    up: up.trim(),
+    down: down && down.trim().length > 0 ? down.trim() : null,
+  };
+}
+
+/**
+ * Find every numbered migration file, ordered by version
+ * @returns {Array} Array of migration descriptors
+ */
+function discoverMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const filePath = path.join(MIGRATIONS_DIR, file);
+      const source = fs.readFileSync(filePath, 'utf8');
+
+      return {
+        version: match[1],
+        name: match[2],
+        type: match[3],
+        file,
+        filePath,
+        source,
+        checksum: crypto.createHash('sha256').update(source).digest('hex'),
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Execute one direction of a migration against the database
+ * @param {Database} db - Database instance
+ * @param {Object} migration - Migration descriptor
+ * @param {string} direction - 'up' or 'down'
+ */
+function executeMigration(db, migration, direction) {
+  if (migration.type === 'sql') {
+    const script = parseSqlMigration(migration.source)[direction];
+    if (!script) {
+      throw new Error(`Migration ${migration.file} has no ${direction} section`);
+    }
+    db.exec(script);
+    return;
+  }
+
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const module = require(migration.filePath);
+  if (typeof module[direction] !== 'function') {
+    throw new Error(`Migration ${migration.file} does not export ${direction}()`);
+  }
+  module[direction](db);
+}
+
+/**
+ * Get the applied migrations recorded in the ledger, keyed by version
+ * @param {Database} db - Database instance
+ * @returns {Map} Map of version to ledger row
+ */
+function getAppliedMigrations(db) {
+  const rows = db.prepare('SELECT * FROM schema_migrations ORDER BY version').all();
+  return new Map(rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Compare migration files against the ledger
+ * @returns {Array} Array of { version, name, file, state, appliedAt } where
+ * state is 'applied', 'pending', 'modified' (checksum changed) or 'missing' (file deleted)
+ */
+function getMigrationStatus() {
+  const db = getDatabase();
+  ensureLedger(db);
+
+  const applied = getAppliedMigrations(db);
+  const migrations = discoverMigrations();
+
+  const status = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      file: migration.file,
+      state,
+      appliedAt: row ? row.applied_at : null,
+    };
+  });
+
+  const known = new Set(migrations.map((migration) => migration.version));
+  applied.forEach((row) => {
+    if (!known.has(row.version)) {
+      status.push({
+        version: row.version,
+        name: row.name,
+        file: null,
+        state: 'missing',
+        appliedAt: row.applied_at,
+      });
+    }
+  });
+
+  return status.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Apply every pending migration, each in its own transaction
+ * @returns {Array} Versions that were applied
+ */
+function migrateUp() {
+  const db = getDatabase();
+  ensureLedger(db);
+
+  const applied = getAppliedMigrations(db);
+  const migrations = discoverMigrations();
+
+  const modified = migrations.filter(
+    (migration) => applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum
+  );
+  if (modified.length > 0) {
+    throw new Error(
+      `Applied migrations have changed since they ran: ${modified.map((m) => m.file).join(', ')}. ` +
+        'Add a new migration instead of editing an applied one.'
+    );
+  }
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)');
+  const pending = migrations.filter((migration) => !applied.has(migration.version));
+
+  pending.forEach((migration) => {
+    console.log(`  ↑ ${migration.file}`);
+    db.transaction(() => {
+      executeMigration(db, migration, 'up');
+      record.run(migration.version, migration.name, migration.checksum);
+    })();
+  });
+
+  return pending.map((migration) => migration.version);
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} steps - How many migrations to roll back
+ * @returns {Array} Versions that were rolled back
+ */
+function migrateDown(steps = 1) {
+  const db = getDatabase();
+  ensureLedger(db);
+
+  const migrations = new Map(discoverMigrations().map((migration) => [migration.version, migration]));
+  const applied = [...getAppliedMigrations(db).values()].reverse().slice(0, steps);
+  const remove = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+  applied.forEach((row) => {
+    const migration = migrations.get(row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${row.version}_${row.name}: migration file is missing`);
+    }
+
+    console.log(`  ↓ ${migration.file}`);
+    db.transaction(() => {
+      executeMigration(db, migration, 'down');
+      remove.run(row.version);
+    })();
+  });
+
+  return applied.map((row) => row.version);
+}
+
 async function runMigrations() {
   console.log('Running database migrations...');
 
   try {
-    // Read the SQL file
-    const sqlFile = path.join(MIGRATIONS_DIR, '001_initial_schema.sql');
-    const sql = fs.readFileSync(sqlFile, 'utf8');
+    const applied = migrateUp();
+
+    closeDatabase();
+    if (applied.length === 0) {
+      console.log('✅ Database is already up to date.');
+    } else {
+      console.log(`✅ Applied ${applied.length} migration(s) successfully!`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+async function rollbackMigrations(steps = 1) {
+  console.log(`Rolling back ${steps} migration(s)...`);
+
+  try {
+    const rolledBack = migrateDown(steps);
 
-    // Split by semicolon and filter empty statements
-    const statements = sql
-      .split(';')
-      .map((stmt) => stmt.trim())
-      .filter((stmt) => stmt.length > 0);
+    closeDatabase();
+    console.log(`✅ Rolled back ${rolledBack.length} migration(s) successfully!`);
+  } catch (error) {
+    console.error('❌ Rollback failed:', error.message);
+    process.exit(1);
+  }
+}
 
-    const db = getDatabase();
+async function printMigrationStatus() {
+  try {
+    const status = getMigrationStatus();
+    closeDatabase();
 
-    // Execute each statement
-    for (const statement of statements) {
-      db.prepare(statement).run();
-    }
+    console.log('Migration status:');
+    status.forEach((migration) => {
+      const appliedAt = migration.appliedAt ? ` (applied ${migration.appliedAt})` : '';
+      console.log(`  [${migration.state.padEnd(8)}] ${migration.version}_${migration.name}${appliedAt}`);
+    });
 
-    db.close();
-    console.log('✅ Migrations completed successfully!');
+    const pending = status.filter((migration) => migration.state === 'pending').length;
+    console.log(`\n${pending} pending migration(s).`);
   } catch (error) {
-    console.error('❌ Migration failed:', error.message);
+    console.error('❌ Could not read migration status:', error.message);
     process.exit(1);
   }
 }
 
 // Run migrations if this file is executed directly
+// Usage: node runMigrations.js [up | down [steps] | status]
 if (require.main === module) {
-  runMigrations();
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'up') {
+    runMigrations();
+  } else if (command === 'down') {
+    rollbackMigrations(parseInt(arg, 10) || 1);
+  } else if (command === 'status') {
+    printMigrationStatus();
+  } else {
+    console.error(`Unknown command "${command}". Use up, down [steps] or status.`);
+    process.exit(1);
+  }
 }
 
-module.exports = { runMigrations };
+module.exports = {
+  runMigrations,
+  rollbackMigrations,
+  printMigrationStatus,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  discoverMigrations,
+};
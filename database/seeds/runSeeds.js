@@ -1,99 +1,64 @@
 // database/seeds/runSeeds.js
 const bcrypt = require('bcrypt');
 const { run } = require('../../config/database');
+const { listPacks, loadPack, applyPack, verifyPack } = require('./seedPacks');
 
-async function seedDatabase() {
+/**
+ * Seed default users and apply catalog data packs
+ * @param {Array} packs - Pack names to apply (defaults to every pack in seeds/packs)
+ */
+async function seedDatabase(packs = []) {
   console.log('Seeding database...');
 
   try {
-    // Seed users
+    // Seed users (seeded addresses can't receive mail, so they start out verified)
     const adminPasswordHash = await bcrypt.hash(process.env.ADMIN_PASSWORD || 'admin123', 10);
     const testPasswordHash = await bcrypt.hash(process.env.TEST_PASSWORD || 'test123', 10);
 
     await run(
       `
-      INSERT OR IGNORE INTO users (username, password_hash, email, is_admin)
-      VALUES (?, ?, ?, ?)
+      INSERT OR IGNORE INTO users (username, password_hash, email, is_admin, email_verified)
+      VALUES (?, ?, ?, ?, 1)
     `,
       [process.env.ADMIN_USERNAME || 'admin', adminPasswordHash, process.env.ADMIN_EMAIL || 'admin@localhost', 1]
     );
 
     await run(
       `
-      INSERT OR IGNORE INTO users (username, password_hash, email, is_admin)
-      VALUES (?, ?, ?, ?)
+      INSERT OR IGNORE INTO users (username, password_hash, email, is_admin, email_verified)
+      VALUES (?, ?, ?, ?, 1)
     `,
       [process.env.TEST_USERNAME || 'testuser', testPasswordHash, process.env.TEST_EMAIL || 'test@localhost', 0]
     );
 
     console.log('✅ Users seeded');
 
-    // Seed factions
-    const factions = [
-      ['Space Marines', 'The Angels of Death, superhuman warriors of the Imperium'],
-      ['Chaos Space Marines', 'Traitorous Space Marines who serve the Chaos Gods'],
-      ['Orks', 'Brutal and warlike green-skinned aliens'],
-      ['Tyranids', 'Extra-galactic hive mind organism'],
-      ['Aeldari', 'Ancient and advanced alien race'],
-      ["T'au Empire", 'Technologically advanced alien civilization'],
-      ['Necrons', 'Ancient robotic race awakening from eons of slumber'],
-      ['Imperial Guard', "Vast armies of humanity's soldiers"],
-      ['Adeptus Mechanicus', 'Tech-priests of Mars'],
-      ['Genestealer Cults', 'Insidious alien-hybrid cults'],
-    ];
+    // Seed catalog data packs
+    const packNames = packs.length > 0 ? packs : listPacks();
+    let missing = 0;
 
-    await Promise.all(
-      factions.map(([name, description]) =>
-        run('INSERT OR IGNORE INTO factions (name, description) VALUES (?, ?)', [name, description])
-      )
-    );
-
-    console.log('✅ Factions seeded');
+    packNames.forEach((packName) => {
+      const pack = loadPack(packName);
+      const counts = applyPack(pack);
 
-    // Seed unit types
-    const unitTypes = [
-      ['HQ', 'Headquarters units - leaders and commanders'],
-      ['Troops', 'Core infantry units'],
-      ['Elites', 'Specialized veteran units'],
-      ['Fast Attack', 'Fast-moving units'],
-      ['Heavy Support', 'Heavy weapons and vehicles'],
-      ['Flyer', 'Aircraft and flying units'],
-      ['Dedicated Transport', 'Vehicles for transporting units'],
-      ['Fortification', 'Defensive structures'],
-      ['Lord of War', 'Super-heavy units'],
-    ];
+      console.log(`\n📦 ${pack.name} v${pack.version}`);
+      Object.entries(counts).forEach(([table, { inserted, updated, unchanged }]) => {
+        console.log(`   ${table}: ${inserted} inserted, ${updated} updated, ${unchanged} unchanged`);
+      });
 
-    await Promise.all(
-      unitTypes.map(([name, description]) =>
-        run('INSERT OR IGNORE INTO unitTypes (name, description) VALUES (?, ?)', [name, description])
-      )
-    );
+      console.log('   Verification:');
+      verifyPack(pack).forEach(({ table, expected, found, total }) => {
+        const ok = found === expected;
+        if (!ok) {
+          missing += expected - found;
+        }
+        console.log(`   ${ok ? '✅' : '❌'} ${table}: ${found}/${expected} pack rows present (${total} rows in table)`);
+      });
+    });
 
-    console.log('✅ Unit types seeded');
-
-    // Seed sample miniatures
-    const miniatures = [
-      ['Space Marine Intercessors', 1, 2, 100, '32mm', 'Standard Primaris infantry'],
-      ['Space Marine Captain', 1, 1, 80, '40mm', 'Commander of Space Marine forces'],
-      ['Ork Boyz', 3, 2, 90, '32mm', 'Basic Ork infantry mob'],
-      ['Tyranid Termagants', 4, 2, 60, '28mm', 'Basic Tyranid organisms'],
-      ['Imperial Guard Infantry Squad', 8, 2, 65, '25mm', 'Standard human soldiers'],
-    ];
-    await Promise.all(
-      // eslint-disable-next-line camelcase
-      miniatures.map(([name, faction_id, unit_type_id, points, base_size, description]) =>
-        run('INSERT OR IGNORE INTO factions (name, description) VALUES (?, ?)', [
-          // eslint-disable-next-line camelcase
-          name, // eslint-disable-next-line camelcase
-          faction_id, // eslint-disable-next-line camelcase
-          unit_type_id,
-          points, // eslint-disable-next-line camelcase
-          base_size,
-          description,
-        ])
-      )
-    );
-    console.log('✅ Sample miniatures seeded');
+    if (missing > 0) {
+      throw new Error(`${missing} pack row(s) missing after seeding`);
+    }
 
     console.log('\n🎉 Database seeding completed successfully!');
     console.log('\nDefault login credentials:');
@@ -110,8 +75,9 @@ async function seedDatabase() {
 }
 
 // Run seeding if this file is executed directly
+// Usage: node runSeeds.js [pack ...]
 if (require.main === module) {
-  seedDatabase();
+  seedDatabase(process.argv.slice(2));
 }
 
 module.exports = { seedDatabase };
@@ -0,0 +1,362 @@
+// database/seeds/seedPacks.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { get, run, all, transaction } = require('../../config/database');
+
+const PACKS_DIR = path.join(__dirname, 'packs');
+
+// Columns each pack table must provide
+const REQUIRED_COLUMNS = {
+  factions: ['name'],
+  unitTypes: ['name'],
+  miniatures: ['name'],
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row.
+ * Supports quoted fields with embedded commas, quotes ("") and newlines.
+ * @param {string} source - CSV contents
+ * @returns {Array} Array of row objects
+ */
+function parseCsv(source) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((cell) => cell.trim().length > 0));
+  const columns = header.map((column) => column.trim());
+
+  return records.map((cells) =>
+    Object.fromEntries(columns.map((column, index) => [column, cells[index] !== undefined ? cells[index].trim() : '']))
+  );
+}
+
+/**
+ * Read one table file of a pack (.json or .csv)
+ * @param {string} packDir - Pack directory
+ * @param {string} table - Table key (factions, unitTypes, miniatures)
+ * @param {string} fileName - File name from the manifest
+ * @returns {Array} Array of row objects
+ */
+function readTable(packDir, table, fileName) {
+  const filePath = path.join(packDir, fileName);
+  const source = fs.readFileSync(filePath, 'utf8');
+  const rows = path.extname(fileName) === '.csv' ? parseCsv(source) : JSON.parse(source);
+
+  if (!Array.isArray(rows)) {
+    throw new Error(`${fileName}: expected an array of rows`);
+  }
+
+  rows.forEach((row, index) => {
+    REQUIRED_COLUMNS[table].forEach((column) => {
+      if (!row[column] || String(row[column]).trim().length === 0) {
+        throw new Error(`${fileName} row ${index + 1}: "${column}" is required`);
+      }
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Load a pack manifest and its data files
+ * @param {string} name - Pack directory name
+ * @returns {Object} Pack with name, version, checksum and table rows
+ */
+function loadPack(name) {
+  const packDir = path.join(PACKS_DIR, name);
+  const manifestPath = path.join(packDir, 'pack.json');
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`Seed pack "${name}" not found in ${PACKS_DIR}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (!manifest.version) {
+    throw new Error(`Seed pack "${name}" has no version`);
+  }
+
+  const hash = crypto.createHash('sha256').update(JSON.stringify(manifest));
+  const tables = {};
+
+  Object.keys(REQUIRED_COLUMNS).forEach((table) => {
+    if (manifest[table]) {
+      tables[table] = readTable(packDir, table, manifest[table]);
+      hash.update(fs.readFileSync(path.join(packDir, manifest[table])));
+    } else {
+      tables[table] = [];
+    }
+  });
+
+  return {
+    name: manifest.name || name,
+    version: manifest.version,
+    description: manifest.description || null,
+    checksum: hash.digest('hex'),
+    ...tables,
+  };
+}
+
+/**
+ * List the packs available on disk
+ * @returns {Array} Pack directory names
+ */
+function listPacks() {
+  if (!fs.existsSync(PACKS_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(PACKS_DIR)
+    .filter((entry) => fs.existsSync(path.join(PACKS_DIR, entry, 'pack.json')))
+    .sort();
+}
+
+/**
+ * Normalize an optional text cell (empty strings become null)
+ * @param {*} value - Cell value
+ * @returns {string|null} Trimmed text or null
+ */
+function text(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Normalize an optional integer cell
+ * @param {*} value - Cell value
+ * @param {string} label - Row label for error messages
+ * @returns {number|null} Integer or null
+ */
+function integer(value, label) {
+  if (text(value) === null) {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${label}: points_value must be a non-negative integer`);
+  }
+  return number;
+}
+
+/**
+ * Insert or update a faction/unit type by name
+ * @param {string} tableName - factions or unit_types
+ * @param {Object} row - { name, description }
+ * @returns {string} 'inserted', 'updated' or 'unchanged'
+ */
+function upsertNamed(tableName, row) {
+  const name = text(row.name);
+  const description = text(row.description);
+  const existing = get(`SELECT id, description FROM ${tableName} WHERE name = ?`, [name]);
+
+  if (!existing) {
+    run(`INSERT INTO ${tableName} (name, description) VALUES (?, ?)`, [name, description]);
+    return 'inserted';
+  }
+
+  if (existing.description === description) {
+    return 'unchanged';
+  }
+
+  run(`UPDATE ${tableName} SET description = ? WHERE id = ?`, [description, existing.id]);
+  return 'updated';
+}
+
+/**
+ * Resolve a faction/unit type name to its ID
+ * @param {string} tableName - factions or unit_types
+ * @param {string} name - Name from the pack
+ * @param {string} label - Row label for error messages
+ * @returns {number|null} ID, or null when no name was given
+ */
+function resolveId(tableName, name, label) {
+  if (text(name) === null) {
+    return null;
+  }
+
+  const row = get(`SELECT id FROM ${tableName} WHERE name = ?`, [text(name)]);
+  if (!row) {
+    throw new Error(`${label}: unknown ${tableName === 'factions' ? 'faction' : 'unit type'} "${name}"`);
+  }
+  return row.id;
+}
+
+/**
+ * Insert or update a miniature, matched on name and faction
+ * @param {Object} row - Miniature row from the pack
+ * @returns {string} 'inserted', 'updated' or 'unchanged'
+ */
+function upsertMiniature(row) {
+  const name = text(row.name);
+  const label = `miniature "${name}"`;
+  const values = {
+    faction_id: resolveId('factions', row.faction, label),
+    unit_type_id: resolveId('unit_types', row.unit_type, label),
+    points_value: integer(row.points_value, label),
+    base_size: text(row.base_size),
+    description: text(row.description),
+  };
+
+  const existing = get('SELECT * FROM miniatures WHERE name = ? AND faction_id IS ?', [name, values.faction_id]);
+
+  if (!existing) {
+    run(
+      `
+      INSERT INTO miniatures (name, faction_id, unit_type_id, points_value, base_size, description)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `,
+      [name, values.faction_id, values.unit_type_id, values.points_value, values.base_size, values.description]
+    );
+    return 'inserted';
+  }
+
+  const changed = Object.keys(values).filter((column) => existing[column] !== values[column]);
+  if (changed.length === 0) {
+    return 'unchanged';
+  }
+
+  run(`UPDATE miniatures SET ${changed.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`, [
+    ...changed.map((column) => values[column]),
+    existing.id,
+  ]);
+  return 'updated';
+}
+
+/**
+ * Apply a pack in one transaction with upsert semantics
+ * @param {Object} pack - Pack from loadPack()
+ * @returns {Object} Per-table counts of inserted, updated and unchanged rows
+ */
+function applyPack(pack) {
+  const tally = (rows, upsert) =>
+    rows.reduce(
+      (counts, row) => {
+        counts[upsert(row)] += 1;
+        return counts;
+      },
+      { inserted: 0, updated: 0, unchanged: 0 }
+    );
+
+  return transaction(() => {
+    const result = {
+      factions: tally(pack.factions, (row) => upsertNamed('factions', row)),
+      unitTypes: tally(pack.unitTypes, (row) => upsertNamed('unit_types', row)),
+      miniatures: tally(pack.miniatures, upsertMiniature),
+    };
+
+    run(
+      `
+      INSERT INTO seed_packs (name, version, checksum) VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        version = excluded.version, checksum = excluded.checksum, applied_at = CURRENT_TIMESTAMP
+    `,
+      [pack.name, pack.version, pack.checksum]
+    );
+
+    return result;
+  });
+}
+
+/**
+ * Check that every row of a pack is present in the database
+ * @param {Object} pack - Pack from loadPack()
+ * @returns {Array} Per-table report of { table, expected, found, total }
+ */
+function verifyPack(pack) {
+  const countNamed = (tableName, rows) =>
+    rows.filter((row) => get(`SELECT id FROM ${tableName} WHERE name = ?`, [text(row.name)])).length;
+
+  const countMiniatures = (rows) =>
+    rows.filter((row) =>
+      get(
+        `
+        SELECT m.id FROM miniatures m
+        LEFT JOIN factions f ON m.faction_id = f.id
+        WHERE m.name = ? AND f.name IS ?
+      `,
+        [text(row.name), text(row.faction)]
+      )
+    ).length;
+
+  const total = (tableName) => get(`SELECT COUNT(*) as count FROM ${tableName}`).count;
+
+  return [
+    {
+      table: 'factions',
+      expected: pack.factions.length,
+      found: countNamed('factions', pack.factions),
+      total: total('factions'),
+    },
+    {
+      table: 'unit_types',
+      expected: pack.unitTypes.length,
+      found: countNamed('unit_types', pack.unitTypes),
+      total: total('unit_types'),
+    },
+    {
+      table: 'miniatures',
+      expected: pack.miniatures.length,
+      found: countMiniatures(pack.miniatures),
+      total: total('miniatures'),
+    },
+  ];
+}
+
+/**
+ * Get packs recorded in the seed_packs table
+ * @returns {Array} Array of applied pack rows
+ */
+function getAppliedPacks() {
+  return all('SELECT * FROM seed_packs ORDER BY name');
+}
+
+module.exports = {
+  PACKS_DIR,
+  parseCsv,
+  loadPack,
+  listPacks,
+  applyPack,
+  verifyPack,
+  getAppliedPacks,
+};
@@ -1,8 +1,79 @@
 // middleware/auth.js
+const ApiToken = require('../models/ApiToken');
+const Role = require('../models/Role');
 
-// Check if the user is authenticated
+// Methods a read-only API token may use
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Get the token from an "Authorization: Bearer <token>" header
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Run the cookie session middleware, except for bearer token requests
+// (token clients are stateless, so they never get a session or cookie)
+function sessionUnlessBearer(sessionMiddleware) {
+  return (req, res, next) => (getBearerToken(req) ? next() : sessionMiddleware(req, res, next));
+}
+
+// Authenticate "Authorization: Bearer" API tokens
+function authenticateToken(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  const apiToken = ApiToken.findByToken(token);
+  if (!apiToken) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Invalid or revoked API token.',
+        code: 'INVALID_TOKEN',
+      },
+    });
+  }
+
+  if (apiToken.scope === 'read' && !READ_METHODS.includes(req.method)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'This API token is read-only.',
+        code: 'INSUFFICIENT_SCOPE',
+      },
+    });
+  }
+
+  ApiToken.touch(apiToken.id);
+
+  // Same fields a login session carries, so routes work unchanged; never persisted
+  req.session = {
+    userId: apiToken.userId,
+    username: apiToken.username,
+    mustChangePassword: apiToken.mustChangePassword,
+    apiTokenId: apiToken.id,
+    apiTokenScope: apiToken.scope,
+  };
+
+  next();
+}
+
+// Check if the user is authenticated (by login session or API token)
 function isAuthenticated(req, res, next) {
   if (req.session && req.session.userId) {
+    // After an admin forces a reset, only the password change itself is allowed
+    const isPasswordChange = req.method === 'PUT' && `${req.baseUrl}${req.path}` === '/api/users/me';
+    if (req.session.mustChangePassword && !isPasswordChange) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'You must change your password before continuing.',
+          code: 'PASSWORD_CHANGE_REQUIRED',
+        },
+      });
+    }
+
     return next();
   }
 
@@ -15,10 +86,13 @@ function isAuthenticated(req, res, next) {
   });
 }
 
-// Check if the user isAdmin
-function isAdmin(req, res, next) {
-  if (!req.session || !req.session.userId) {
-    return res.status(401).json({
+// Load the user's roles and permissions into req.access, re-read from the database on every
+// request so promotions, demotions and disabled accounts apply at once. Sends a 401 if not logged in.
+function loadAccess(req, res) {
+  req.access = req.session && req.session.userId ? Role.getAccess(req.session.userId) : undefined;
+
+  if (!req.access) {
+    res.status(401).json({
       success: false,
       error: {
         message: 'Authentication required.',
@@ -27,7 +101,16 @@ function isAdmin(req, res, next) {
     });
   }
 
-  if (!req.session.isAdmin) {
+  return req.access;
+}
+
+// Check if the user isAdmin
+function isAdmin(req, res, next) {
+  if (!loadAccess(req, res)) {
+    return;
+  }
+
+  if (!req.access.isAdmin) {
     return res.status(403).json({
       success: false,
       error: {
@@ -40,13 +123,54 @@ function isAdmin(req, res, next) {
   next(); // User is admin, continue on wayward son
 }
 
+// Check the user has a permission through one of their roles (admins have them all)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!loadAccess(req, res)) {
+      return;
+    }
+
+    if (!req.access.permissions.includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: `The ${permission} permission is required.`,
+          code: 'FORBIDDEN',
+        },
+      });
+    }
+
+    next();
+  };
+}
+
+// Require a login session - for actions API tokens must not perform
+function requireSession(req, res, next) {
+  if (req.session && req.session.apiTokenId) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'This action requires logging in with your password.',
+        code: 'SESSION_REQUIRED',
+      },
+    });
+  }
+
+  next();
+}
+
 // Optional authentication (doesn't require login)
 function optionalAuth(_req, _res, next) {
   next(); // Passthrough
 }
 
 module.exports = {
+  getBearerToken,
+  sessionUnlessBearer,
+  authenticateToken,
   isAuthenticated,
   isAdmin,
+  requirePermission,
+  requireSession,
   optionalAuth,
 };
@@ -0,0 +1,48 @@
+// middleware/csrf.js
+const crypto = require('crypto');
+const { getBearerToken } = require('./auth');
+
+// Methods that never change state, so need no token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Header clients send the token in (forms can use a _csrf field instead)
+const CSRF_HEADER = 'x-csrf-token';
+
+// On unless explicitly turned off (e.g. for local scripting with curl)
+const CSRF_ENABLED = process.env.CSRF_PROTECTION !== 'false';
+
+// Get the session's CSRF token, creating it on first use (synchronizer token pattern)
+function getCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  }
+  return req.session.csrfToken;
+}
+
+// Reject cookie-authenticated POST/PUT/PATCH/DELETE requests without the session's token
+// (bearer token clients don't use cookies, so a forged request can't carry their credentials)
+function csrfProtection(req, res, next) {
+  if (!CSRF_ENABLED || SAFE_METHODS.includes(req.method) || getBearerToken(req)) {
+    return next();
+  }
+
+  const expected = Buffer.from(req.session?.csrfToken || '');
+  const actual = Buffer.from(String(req.get(CSRF_HEADER) || req.body?._csrf || ''));
+
+  if (expected.length === 0 || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Missing or invalid CSRF token. Fetch one from GET /api/auth/csrf-token.',
+        code: 'CSRF_TOKEN_INVALID',
+      },
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  getCsrfToken,
+  csrfProtection,
+};
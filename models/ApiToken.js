@@ -0,0 +1,148 @@
+// models/ApiToken.js
+const crypto = require('crypto');
+const { get, run, all } = require('../config/database');
+
+// Prefix that makes tokens easy to recognize (and to spot in leaked logs)
+const TOKEN_PREFIX = 'mts_';
+
+/**
+ * ApiToken Model
+ * Handles all database operations for personal access tokens
+ */
+class ApiToken {
+  /**
+   * Valid token scopes
+   */
+  static SCOPES = ['read', 'read-write'];
+
+  /**
+   * Hash a plain text token for storage and lookup
+   * @param {string} token - Plain text token
+   * @returns {string} SHA-256 hex digest
+   */
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Get all tokens for a user (never includes the token itself)
+   * @param {number} userId - User ID
+   * @returns {Array} Array of token objects
+   */
+  static getAllByUser(userId) {
+    const tokens = all(
+      `
+      SELECT id, name, token_prefix, scope, created_at, last_used_at
+      FROM api_tokens
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+    `,
+      [userId]
+    );
+
+    return tokens.map((token) => ({
+      id: token.id,
+      name: token.name,
+      prefix: token.token_prefix,
+      scope: token.scope,
+      createdAt: token.created_at,
+      lastUsedAt: token.last_used_at,
+    }));
+  }
+
+  /**
+   * Create a new token
+   * @param {Object} tokenData - Token data
+   * @param {number} tokenData.userId - Owner user ID
+   * @param {string} tokenData.name - Label shown in the token list
+   * @param {string} tokenData.scope - 'read' or 'read-write'
+   * @returns {Object} Created token, including the plain text token (shown only once)
+   */
+  static create(tokenData) {
+    const { userId, name, scope } = tokenData;
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const prefix = token.slice(0, TOKEN_PREFIX.length + 6);
+
+    const result = run(
+      `
+      INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scope)
+      VALUES (?, ?, ?, ?, ?)
+    `,
+      [userId, name, ApiToken.hash(token), prefix, scope || 'read']
+    );
+
+    return {
+      id: result.lastID,
+      name,
+      prefix,
+      scope: scope || 'read',
+      token,
+    };
+  }
+
+  /**
+   * Find the token and its owner for a plain text token
+   * @param {string} token - Plain text token from the Authorization header
+   * @returns {Object|undefined} Token with user details
+   */
+  static findByToken(token) {
+    const row = get(
+      `
+      SELECT t.id, t.user_id, t.scope, u.username, u.must_change_password
+      FROM api_tokens t
+      INNER JOIN users u ON t.user_id = u.id
+      WHERE t.token_hash = ? AND u.is_disabled = 0
+    `,
+      [ApiToken.hash(token)]
+    );
+
+    if (!row) {
+      return undefined;
+    }
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      scope: row.scope,
+      username: row.username,
+      mustChangePassword: Boolean(row.must_change_password),
+    };
+  }
+
+  /**
+   * Record that a token was used (at most once a minute, to spare writes)
+   * @param {number} id - Token ID
+   */
+  static touch(id) {
+    run(
+      `
+      UPDATE api_tokens SET last_used_at = datetime('now')
+      WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))
+    `,
+      [id]
+    );
+  }
+
+  /**
+   * Revoke (delete) a user's token
+   * @param {number} id - Token ID
+   * @param {number} userId - Owner user ID
+   * @returns {boolean} True if a token was revoked
+   */
+  static revoke(id, userId) {
+    const result = run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [id, userId]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Validate token scope
+   * @param {string} scope - Scope to validate
+   * @returns {boolean} True if valid
+   */
+  static isValidScope(scope) {
+    return ApiToken.SCOPES.includes(scope);
+  }
+}
+
+module.exports = ApiToken;
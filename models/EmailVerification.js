@@ -0,0 +1,113 @@
+// models/EmailVerification.js
+const crypto = require('crypto');
+const { get } = require('../config/database');
+const User = require('./User');
+const { sendMail, appUrl } = require('../config/mailer');
+
+// Key used to sign verification links
+const SECRET = process.env.EMAIL_VERIFICATION_SECRET || process.env.SESSION_SECRET || 'dev-secret-change-this';
+
+/**
+ * EmailVerification Model
+ * Signs, sends and checks email verification links. Links are not stored:
+ * each one is an HMAC-signed user ID, address and expiry, so a link stops
+ * working once the address it names is no longer awaiting verification.
+ */
+class EmailVerification {
+  /**
+   * How long a verification link stays valid (24 hours)
+   */
+  static TTL = 24 * 60 * 60 * 1000;
+
+  /**
+   * Minimum time between verification emails for one user (1 minute)
+   */
+  static RESEND_INTERVAL = 60 * 1000;
+
+  /**
+   * Sign a payload
+   * @param {string} payload - base64url encoded payload
+   * @returns {string} base64url HMAC-SHA256 signature
+   */
+  static sign(payload) {
+    return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+  }
+
+  /**
+   * Create a signed verification token
+   * @param {number} userId - User ID
+   * @param {string} email - Address being verified
+   * @returns {string} Token for the verification link
+   */
+  static createToken(userId, email) {
+    const payload = Buffer.from(
+      JSON.stringify({ userId, email, expiresAt: Date.now() + EmailVerification.TTL })
+    ).toString('base64url');
+    return `${payload}.${EmailVerification.sign(payload)}`;
+  }
+
+  /**
+   * Check a token's signature and expiry
+   * @param {string} token - Token from the verification link
+   * @returns {Object|null} Object with userId and email, or null if invalid or expired
+   */
+  static verifyToken(token) {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(EmailVerification.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { userId, email, expiresAt } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return expiresAt > Date.now() ? { userId, email } : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Seconds until the user may be sent another verification email
+   * @param {number} userId - User ID
+   * @returns {number} 0 if an email can be sent now
+   */
+  static retryAfter(userId) {
+    const row = get('SELECT verification_sent_at FROM users WHERE id = ?', [userId]);
+    const nextAllowed = (row?.verification_sent_at || 0) + EmailVerification.RESEND_INTERVAL;
+    return Math.max(0, Math.ceil((nextAllowed - Date.now()) / 1000));
+  }
+
+  /**
+   * Email a verification link to an address
+   * @param {Object} user - User object (id, username)
+   * @param {string} email - Address to verify (current or pending)
+   * @returns {Promise<void>}
+   */
+  static async send(user, email) {
+    const link = appUrl('/api/auth/verify-email', { token: EmailVerification.createToken(user.id, email) });
+
+    User.setVerificationSentAt(user.id, Date.now());
+
+    await sendMail({
+      to: email,
+      subject: 'Verify your MiniTrackingSystem email address',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Please confirm this email address for your account by opening this link:',
+        '',
+        link,
+        '',
+        'The link expires in 24 hours.',
+        "If you didn't ask for this, you can ignore this email.",
+      ].join('\n'),
+    });
+  }
+}
+
+module.exports = EmailVerification;
@@ -1,5 +1,5 @@
 // models/Faction.js
-const { get, run, all } = require('../config/database');
+const { get, run, all, transaction } = require('../config/database');
 
 /**
  * Faction Model
@@ -58,13 +58,15 @@ class Faction {
   static update(id, factionData) {
     const { name, description } = factionData;
 
-    if (name) {
-      run('UPDATE factions SET name = ? WHERE id = ?', [name, id]);
-    }
+    transaction(() => {
+      if (name) {
+        run('UPDATE factions SET name = ? WHERE id = ?', [name, id]);
+      }
 
-    if (description !== undefined) {
-      run('UPDATE factions SET description = ? WHERE id = ?', [description, id]);
-    }
+      if (description !== undefined) {
+        run('UPDATE factions SET description = ? WHERE id = ?', [description, id]);
+      }
+    });
   }
 
   /**
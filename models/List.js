@@ -1,29 +1,154 @@
 // models/List.js
-const { get, run, all } = require('../config/database');
+const crypto = require('crypto');
+const { get, run, all, transaction } = require('../config/database');
+
+// Expressions each list item sort field orders by (sorts are "field" or "-field" for descending)
+const ITEM_SORT_EXPRESSIONS = {
+  name: ['m.name COLLATE NOCASE'],
+  points: ['m.points_value'],
+  status: [
+    "CASE li.painting_status WHEN 'Unpainted' THEN 0 WHEN 'Primed' THEN 1 WHEN 'Base Coated' THEN 2 WHEN 'Detailed' THEN 3 ELSE 4 END",
+    "CASE li.assembly_status WHEN 'Not Started' THEN 0 WHEN 'In Progress' THEN 1 ELSE 2 END",
+  ],
+  added: ['li.added_at'],
+};
+
+/**
+ * Build the ORDER BY clause for a list item sort
+ * @param {string} sort - Sort field, prefixed with "-" for descending (e.g. "-added")
+ * @returns {string} ORDER BY expressions
+ */
+function itemOrderBy(sort) {
+  const descending = sort.startsWith('-');
+  const direction = descending ? 'DESC' : 'ASC';
+  const expressions = ITEM_SORT_EXPRESSIONS[sort.replace(/^-/, '')] || ITEM_SORT_EXPRESSIONS.added;
+
+  return [...expressions, 'li.id'].map((expression) => `${expression} ${direction}`).join(', ');
+}
+
+// Columns selected for list items, with their miniature's catalog details
+const ITEM_COLUMNS = `
+  li.*,
+  m.name as miniature_name,
+  m.points_value,
+  m.faction_id,
+  m.unit_type_id,
+  f.name as faction_name,
+  ut.name as unit_type_name
+`;
+
+// Tables list items are read from (alias li), joined to their miniature's catalog details
+const ITEM_TABLES = `
+  list_items li
+  INNER JOIN miniatures m ON li.miniature_id = m.id
+  LEFT JOIN factions f ON m.faction_id = f.id
+  LEFT JOIN unit_types ut ON m.unit_type_id = ut.id
+`;
+
+/**
+ * Convert a list item row (selected with ITEM_COLUMNS) to the API shape
+ * @param {Object} item - Database row
+ * @returns {Object} List item object
+ */
+function formatItem(item) {
+  return {
+    id: item.id,
+    miniatureId: item.miniature_id,
+    miniatureName: item.miniature_name,
+    factionId: item.faction_id,
+    factionName: item.faction_name,
+    unitTypeId: item.unit_type_id,
+    unitTypeName: item.unit_type_name,
+    pointsValue: item.points_value,
+    quantity: item.quantity,
+    assemblyStatus: item.assembly_status,
+    paintingStatus: item.painting_status,
+    notes: item.notes,
+    addedAt: item.added_at,
+  };
+}
+
+/**
+ * Generate a secret token for an unlisted list's share link
+ * @returns {string} Random URL-safe token
+ */
+function generateShareToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
 
 /**
  * List Model
  * Handles all database operations for lists
  */
 class List {
+  /**
+   * Valid list visibilities (unlisted lists are only reachable through their share link)
+   */
+  static VISIBILITIES = ['private', 'unlisted', 'public'];
+
+  /**
+   * Add up the progress of list items
+   * @param {Array} items - list_items rows joined with their miniature's points_value
+   * @returns {Object} Statistics with item count, total points and assembly/painting progress by quantity
+   */
+  static calculateStatistics(items) {
+    const stats = {
+      totalItems: items.length,
+      totalPoints: items.reduce((sum, item) => sum + (item.points_value || 0) * item.quantity, 0),
+      assemblyProgress: {
+        'Not Started': 0,
+        'In Progress': 0,
+        Assembled: 0,
+      },
+      paintingProgress: {
+        Unpainted: 0,
+        Primed: 0,
+        'Base Coated': 0,
+        Detailed: 0,
+        Finished: 0,
+      },
+    };
+
+    items.forEach((item) => {
+      stats.assemblyProgress[item.assembly_status] += item.quantity;
+      stats.paintingProgress[item.painting_status] += item.quantity;
+    });
+
+    return stats;
+  }
+
   /**
    * Get all lists for a specific user
    * @param {number} userId - User ID
+   * @param {Object} options - Options
+   * @param {number|null} options.folderId - Only lists directly in this folder (null for lists in no folder)
    * @returns {Array} Array of list objects with item counts
    */
-  static getAllByUser(userId) {
+  static getAllByUser(userId, options = {}) {
+    const { folderId } = options;
+    const params = [userId];
+    let folderFilter = '';
+
+    if (folderId === null) {
+      folderFilter = 'AND l.folder_id IS NULL';
+    } else if (folderId !== undefined) {
+      folderFilter = 'AND l.folder_id = ?';
+      params.push(folderId);
+    }
+
     const lists = all(
       `
       SELECT
         l.*,
+        (SELECT COUNT(*) FROM lists forks WHERE forks.forked_from_list_id = l.id) as fork_count,
         COUNT(li.id) as item_count
       FROM lists l
       LEFT JOIN list_items li ON l.id = li.list_id
-      WHERE l.user_id = ?
+      WHERE l.user_id = ? ${folderFilter}
       GROUP BY l.id
       ORDER BY l.updated_at DESC
     `,
-      [userId]
+      params
     );
 
     return lists.map((list) => ({
@@ -31,8 +156,12 @@ class List {
       userId: list.user_id,
       name: list.name,
       description: list.description,
-      isPublic: Boolean(list.is_public),
+      visibility: list.visibility,
+      isPublic: list.visibility === 'public',
+      folderId: list.folder_id,
       itemCount: list.item_count,
+      forkedFromListId: list.forked_from_list_id,
+      forkCount: list.fork_count,
       createdAt: list.created_at,
       updatedAt: list.updated_at,
     }));
@@ -50,11 +179,12 @@ class List {
       SELECT
         l.*,
         u.username,
+        (SELECT COUNT(*) FROM lists forks WHERE forks.forked_from_list_id = l.id) as fork_count,
         COUNT(li.id) as item_count
       FROM lists l
       INNER JOIN users u ON l.user_id = u.id
       LEFT JOIN list_items li ON l.id = li.list_id
-      WHERE l.is_public = 1
+      WHERE l.visibility = 'public'
       GROUP BY l.id
       ORDER BY l.updated_at DESC
       LIMIT ? OFFSET ?
@@ -62,7 +192,7 @@ class List {
       [limit, offset]
     );
 
-    const countResult = get('SELECT COUNT(*) as count FROM lists WHERE is_public = 1');
+    const countResult = get("SELECT COUNT(*) as count FROM lists WHERE visibility = 'public'");
 
     return {
       lists: lists.map((list) => ({
@@ -72,6 +202,7 @@ class List {
         name: list.name,
         description: list.description,
         itemCount: list.item_count,
+        forkCount: list.fork_count,
         createdAt: list.created_at,
         updatedAt: list.updated_at,
       })),
@@ -82,15 +213,58 @@ class List {
     };
   }
 
+  /**
+   * Get a user's public lists with painting progress
+   * @param {number} userId - User ID
+   * @returns {Array} Array of list objects with item and miniature counts
+   */
+  static getPublicByUser(userId) {
+    const lists = all(
+      `
+      SELECT
+        l.*,
+        (SELECT COUNT(*) FROM lists forks WHERE forks.forked_from_list_id = l.id) as fork_count,
+        COUNT(li.id) as item_count,
+        COALESCE(SUM(li.quantity), 0) as total_miniatures,
+        COALESCE(SUM(CASE WHEN li.painting_status = 'Finished' THEN li.quantity ELSE 0 END), 0) as painted_miniatures
+      FROM lists l
+      LEFT JOIN list_items li ON l.id = li.list_id
+      WHERE l.user_id = ? AND l.visibility = 'public'
+      GROUP BY l.id
+      ORDER BY l.updated_at DESC
+    `,
+      [userId]
+    );
+
+    return lists.map((list) => ({
+      id: list.id,
+      name: list.name,
+      description: list.description,
+      itemCount: list.item_count,
+      totalMiniatures: list.total_miniatures,
+      paintedMiniatures: list.painted_miniatures,
+      forkCount: list.fork_count,
+      createdAt: list.created_at,
+      updatedAt: list.updated_at,
+    }));
+  }
+
   /**
    * Get single list with all items
    * @param {number} id - List ID
+   * @param {Object} options - Options
+   * @param {string} options.sort - Item sort order (e.g. "-added", "name", "-points", "status")
    * @returns {Object|undefined} List with items array
    */
-  static findById(id) {
+  static findById(id, options = {}) {
+    const { sort = '-added' } = options;
+
     const list = get(
       `
-      SELECT l.*, u.username
+      SELECT
+        l.*,
+        u.username,
+        (SELECT COUNT(*) FROM lists forks WHERE forks.forked_from_list_id = l.id) as fork_count
       FROM lists l
       INNER JOIN users u ON l.user_id = u.id
       WHERE l.id = ?
@@ -105,44 +279,14 @@ class List {
     // Get all items in this list
     const items = all(
       `
-      SELECT
-        li.*,
-        m.name as miniature_name,
-        f.name as faction_name,
-        ut.name as unit_type_name
-      FROM list_items li
-      INNER JOIN miniatures m ON li.miniature_id = m.id
-      LEFT JOIN factions f ON m.faction_id = f.id
-      LEFT JOIN unit_types ut ON m.unit_type_id = ut.id
+      SELECT ${ITEM_COLUMNS}
+      FROM ${ITEM_TABLES}
       WHERE li.list_id = ?
-      ORDER BY li.added_at DESC
+      ORDER BY ${itemOrderBy(sort)}
     `,
       [id]
     );
 
-    // Calculate statistics
-    const stats = {
-      totalItems: items.length,
-      totalPoints: items.reduce((sum, item) => sum + (item.points_value || 0) * item.quantity, 0),
-      assemblyProgress: {
-        'Not Started': 0,
-        'In Progress': 0,
-        Assembled: 0,
-      },
-      paintingProgress: {
-        Unpainted: 0,
-        Primed: 0,
-        'Base Coated': 0,
-        Detailed: 0,
-        Finished: 0,
-      },
-    };
-
-    items.forEach((item) => {
-      stats.assemblyProgress[item.assembly_status] += item.quantity;
-      stats.paintingProgress[item.painting_status] += item.quantity;
-    });
-
     return {
       list: {
         id: list.id,
@@ -150,40 +294,122 @@ class List {
         username: list.username,
         name: list.name,
         description: list.description,
-        isPublic: Boolean(list.is_public),
+        visibility: list.visibility,
+        isPublic: list.visibility === 'public',
+        folderId: list.folder_id,
+        forkedFromListId: list.forked_from_list_id,
+        forkCount: list.fork_count,
         createdAt: list.created_at,
         updatedAt: list.updated_at,
       },
-      items: items.map((item) => ({
-        id: item.id,
-        miniatureId: item.miniature_id,
-        miniatureName: item.miniature_name,
-        factionName: item.faction_name,
-        unitTypeName: item.unit_type_name,
-        quantity: item.quantity,
-        assemblyStatus: item.assembly_status,
-        paintingStatus: item.painting_status,
-        notes: item.notes,
-        addedAt: item.added_at,
-      })),
-      statistics: stats,
+      items: items.map(formatItem),
+      statistics: List.calculateStatistics(items),
     };
   }
 
+  /**
+   * Get a filtered, sorted page of a list's items
+   * @param {number} id - List ID
+   * @param {Object} filters - Filter options
+   * @param {number} filters.factionId - Only miniatures from this faction
+   * @param {number} filters.unitTypeId - Only miniatures of this unit type
+   * @param {Array} filters.assemblyStatuses - Only items with one of these assembly statuses
+   * @param {Array} filters.paintingStatuses - Only items with one of these painting statuses
+   * @param {string} filters.notes - Only items whose notes contain this text (case-insensitive)
+   * @param {string} filters.sort - Item sort order (e.g. "-added", "name", "-points", "status")
+   * @param {number} filters.limit - Results per page
+   * @param {number} filters.offset - Pagination offset
+   * @returns {Object} Object with items array and total count of matching items
+   */
+  static findItems(id, filters = {}) {
+    const { factionId, unitTypeId, assemblyStatuses, paintingStatuses, notes, sort = '-added' } = filters;
+    const { limit = 20, offset = 0 } = filters;
+
+    const conditions = ['li.list_id = ?'];
+    const params = [id];
+
+    if (factionId) {
+      conditions.push('m.faction_id = ?');
+      params.push(factionId);
+    }
+
+    if (unitTypeId) {
+      conditions.push('m.unit_type_id = ?');
+      params.push(unitTypeId);
+    }
+
+    if (assemblyStatuses?.length) {
+      conditions.push(`li.assembly_status IN (${assemblyStatuses.map(() => '?').join(', ')})`);
+      params.push(...assemblyStatuses);
+    }
+
+    if (paintingStatuses?.length) {
+      conditions.push(`li.painting_status IN (${paintingStatuses.map(() => '?').join(', ')})`);
+      params.push(...paintingStatuses);
+    }
+
+    if (notes) {
+      conditions.push("li.notes LIKE ? ESCAPE '\\'");
+      params.push(`%${notes.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    const where = conditions.join(' AND ');
+    const countResult = get(`SELECT COUNT(*) as count FROM ${ITEM_TABLES} WHERE ${where}`, params);
+
+    const items = all(
+      `
+      SELECT ${ITEM_COLUMNS}
+      FROM ${ITEM_TABLES}
+      WHERE ${where}
+      ORDER BY ${itemOrderBy(sort)}
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset]
+    );
+
+    return {
+      items: items.map(formatItem),
+      total: countResult.count,
+      limit,
+      offset,
+      hasMore: offset + items.length < countResult.count,
+    };
+  }
+
+  /**
+   * Get the statistics for all of a list's items
+   * @param {number} id - List ID
+   * @returns {Object} Statistics (see List.calculateStatistics)
+   */
+  static getStatistics(id) {
+    const items = all(
+      `
+      SELECT li.quantity, li.assembly_status, li.painting_status, m.points_value
+      FROM list_items li
+      INNER JOIN miniatures m ON li.miniature_id = m.id
+      WHERE li.list_id = ?
+    `,
+      [id]
+    );
+
+    return List.calculateStatistics(items);
+  }
+
   /**
    * Create new list
    * @param {Object} listData - List data
    * @returns {Object} Created list with ID
    */
   static create(listData) {
-    const { userId, name, description, isPublic } = listData;
+    const { userId, name, description, visibility = 'private', folderId = null, forkedFromListId = null } = listData;
+    const shareToken = visibility === 'unlisted' ? generateShareToken() : null;
 
     const result = run(
       `
-      INSERT INTO lists (user_id, name, description, is_public)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO lists (user_id, name, description, visibility, share_token, folder_id, forked_from_list_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `,
-      [userId, name, description || null, isPublic ? 1 : 0]
+      [userId, name, description || null, visibility, shareToken, folderId, forkedFromListId]
     );
 
     return {
@@ -191,10 +417,65 @@ class List {
       userId,
       name,
       description: description || null,
-      isPublic: Boolean(isPublic),
+      visibility,
+      isPublic: visibility === 'public',
+      shareToken,
+      folderId,
+      forkedFromListId,
     };
   }
 
+  /**
+   * Copy a list and its items into a new list that records where it was forked from
+   * @param {number} sourceId - ID of the list to copy
+   * @param {Object} listData - New list data (userId, name, description, visibility)
+   * @param {Object} options - Options
+   * @param {boolean} options.resetStatus - Start every item as Not Started / Unpainted
+   * @param {boolean} options.includeMetadata - Copy each item's metadata (cost, storage location, ...; default false)
+   * @returns {Object} Created list with its item count
+   */
+  static clone(sourceId, listData, options = {}) {
+    const { resetStatus = false, includeMetadata = false } = options;
+
+    return transaction(() => {
+      const list = List.create({ ...listData, forkedFromListId: sourceId });
+      const items = all('SELECT * FROM list_items WHERE list_id = ? ORDER BY id', [sourceId]);
+
+      items.forEach((item) => {
+        const copy = run(
+          `
+          INSERT INTO list_items (list_id, miniature_id, quantity, assembly_status, painting_status, notes)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `,
+          [
+            list.id,
+            item.miniature_id,
+            item.quantity,
+            resetStatus ? 'Not Started' : item.assembly_status,
+            resetStatus ? 'Unpainted' : item.painting_status,
+            item.notes,
+          ]
+        );
+
+        if (includeMetadata) {
+          run(
+            `
+            INSERT INTO metadata (
+              list_item_id, paint_colors, techniques, purchase_date, cost, currency, storage_location, custom_notes
+            )
+            SELECT ?, paint_colors, techniques, purchase_date, cost, currency, storage_location, custom_notes
+            FROM metadata
+            WHERE list_item_id = ?
+          `,
+            [copy.lastID, item.id]
+          );
+        }
+      });
+
+      return { ...list, itemCount: items.length };
+    });
+  }
+
   /**
    * Update list
    * @param {number} id - List ID
@@ -214,9 +495,15 @@ class List {
       params.push(listData.description);
     }
 
-    if (listData.isPublic !== undefined) {
-      updates.push('is_public = ?');
-      params.push(listData.isPublic ? 1 : 0);
+    // Becoming unlisted creates a share link (keeping an existing one); any other visibility drops it
+    if (listData.visibility !== undefined) {
+      updates.push("visibility = ?, share_token = CASE WHEN ? = 'unlisted' THEN COALESCE(share_token, ?) END");
+      params.push(listData.visibility, listData.visibility, generateShareToken());
+    }
+
+    if (listData.folderId !== undefined) {
+      updates.push('folder_id = ?');
+      params.push(listData.folderId);
     }
 
     updates.push("updated_at = datetime('now')");
@@ -228,11 +515,15 @@ class List {
   }
 
   /**
-   * Delete list
+   * Delete list along with its items and their metadata
    * @param {number} id - List ID
    */
   static delete(id) {
-    run('DELETE FROM lists WHERE id = ?', [id]);
+    transaction(() => {
+      run('DELETE FROM metadata WHERE list_item_id IN (SELECT id FROM list_items WHERE list_id = ?)', [id]);
+      run('DELETE FROM list_items WHERE list_id = ?', [id]);
+      run('DELETE FROM lists WHERE id = ?', [id]);
+    });
   }
 
   /**
@@ -246,14 +537,95 @@ class List {
     return result.count > 0;
   }
 
+  /**
+   * Get a user's role on a list
+   * @param {number} listId - List ID
+   * @param {number|undefined} userId - User ID
+   * @returns {string|undefined} 'owner', 'editor' or 'viewer' (undefined if none)
+   */
+  static getUserRole(listId, userId) {
+    if (!userId) {
+      return undefined;
+    }
+
+    const result = get(
+      `
+      SELECT CASE WHEN l.user_id = ? THEN 'owner' ELSE lc.role END as role
+      FROM lists l
+      LEFT JOIN list_collaborators lc ON lc.list_id = l.id AND lc.user_id = ?
+      WHERE l.id = ?
+    `,
+      [userId, userId, listId]
+    );
+    return result?.role ?? undefined;
+  }
+
+  /**
+   * Check if user can see a list (public, owned or shared with them)
+   * @param {number} listId - List ID
+   * @param {number|undefined} userId - User ID
+   * @returns {boolean} True if the user can view the list
+   */
+  static canView(listId, userId) {
+    return List.isPublic(listId) || Boolean(List.getUserRole(listId, userId));
+  }
+
+  /**
+   * Check if user can change a list's items and metadata (owner or editor)
+   * @param {number} listId - List ID
+   * @param {number} userId - User ID
+   * @returns {boolean} True if the user can edit the list's contents
+   */
+  static canEdit(listId, userId) {
+    return ['owner', 'editor'].includes(List.getUserRole(listId, userId));
+  }
+
+  /**
+   * Get the ID of a list's owner
+   * @param {number} id - List ID
+   * @returns {number|undefined} Owner user ID
+   */
+  static getOwnerId(id) {
+    return get('SELECT user_id FROM lists WHERE id = ?', [id])?.user_id;
+  }
+
   /**
    * Check if list is public
    * @param {number} id - List ID
    * @returns {boolean} True if list is public
    */
   static isPublic(id) {
-    const result = get('SELECT is_public FROM lists WHERE id = ?', [id]);
-    return result ? Boolean(result.is_public) : false;
+    const result = get('SELECT visibility FROM lists WHERE id = ?', [id]);
+    return result?.visibility === 'public';
+  }
+
+  /**
+   * Get an unlisted list's share token
+   * @param {number} id - List ID
+   * @returns {string|null} Share token (null unless the list is unlisted)
+   */
+  static getShareToken(id) {
+    return get('SELECT share_token FROM lists WHERE id = ?', [id])?.share_token ?? null;
+  }
+
+  /**
+   * Replace an unlisted list's share token, breaking links to the old one
+   * @param {number} id - List ID
+   * @returns {string} New share token
+   */
+  static rotateShareToken(id) {
+    const shareToken = generateShareToken();
+    run("UPDATE lists SET share_token = ? WHERE id = ? AND visibility = 'unlisted'", [shareToken, id]);
+    return shareToken;
+  }
+
+  /**
+   * Find the unlisted list a share token belongs to
+   * @param {string} shareToken - Token from a share link
+   * @returns {number|undefined} List ID
+   */
+  static findIdByShareToken(shareToken) {
+    return get("SELECT id FROM lists WHERE share_token = ? AND visibility = 'unlisted'", [shareToken])?.id;
   }
 }
 
@@ -0,0 +1,134 @@
+// models/ListCollaborator.js
+const { run, all } = require('../config/database');
+
+/**
+ * ListCollaborator Model
+ * Handles the users a list is shared with and their roles
+ */
+class ListCollaborator {
+  /**
+   * Valid collaborator roles (editors can change items and metadata; viewers can only look)
+   */
+  static ROLES = ['viewer', 'editor'];
+
+  /**
+   * Get all collaborators on a list
+   * @param {number} listId - List ID
+   * @returns {Array} Array of collaborator objects
+   */
+  static getAllByList(listId) {
+    const collaborators = all(
+      `
+      SELECT lc.user_id, lc.role, lc.created_at, u.username, u.display_name, inviter.username as invited_by
+      FROM list_collaborators lc
+      INNER JOIN users u ON lc.user_id = u.id
+      LEFT JOIN users inviter ON lc.invited_by = inviter.id
+      WHERE lc.list_id = ?
+      ORDER BY u.username
+    `,
+      [listId]
+    );
+
+    return collaborators.map((collaborator) => ({
+      userId: collaborator.user_id,
+      username: collaborator.username,
+      displayName: collaborator.display_name,
+      role: collaborator.role,
+      invitedBy: collaborator.invited_by,
+      createdAt: collaborator.created_at,
+    }));
+  }
+
+  /**
+   * Get the lists shared with a user
+   * @param {number} userId - User ID
+   * @returns {Array} Array of list objects with the owner's username and the user's role
+   */
+  static getListsSharedWith(userId) {
+    const lists = all(
+      `
+      SELECT
+        l.*,
+        u.username,
+        lc.role,
+        (SELECT COUNT(*) FROM list_items li WHERE li.list_id = l.id) as item_count
+      FROM list_collaborators lc
+      INNER JOIN lists l ON lc.list_id = l.id
+      INNER JOIN users u ON l.user_id = u.id
+      WHERE lc.user_id = ?
+      ORDER BY l.updated_at DESC
+    `,
+      [userId]
+    );
+
+    return lists.map((list) => ({
+      id: list.id,
+      userId: list.user_id,
+      username: list.username,
+      name: list.name,
+      description: list.description,
+      visibility: list.visibility,
+      isPublic: list.visibility === 'public',
+      role: list.role,
+      itemCount: list.item_count,
+      createdAt: list.created_at,
+      updatedAt: list.updated_at,
+    }));
+  }
+
+  /**
+   * Share a list with a user
+   * @param {Object} collaboratorData - Collaborator data
+   * @param {number} collaboratorData.listId - List ID
+   * @param {number} collaboratorData.userId - User to share with
+   * @param {string} collaboratorData.role - 'viewer' or 'editor'
+   * @param {number} collaboratorData.invitedBy - User who shared the list
+   */
+  static create(collaboratorData) {
+    const { listId, userId, role, invitedBy } = collaboratorData;
+    run('INSERT INTO list_collaborators (list_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)', [
+      listId,
+      userId,
+      role,
+      invitedBy,
+    ]);
+  }
+
+  /**
+   * Change a collaborator's role
+   * @param {number} listId - List ID
+   * @param {number} userId - Collaborator user ID
+   * @param {string} role - 'viewer' or 'editor'
+   * @returns {boolean} True if the collaborator exists
+   */
+  static updateRole(listId, userId, role) {
+    const result = run('UPDATE list_collaborators SET role = ? WHERE list_id = ? AND user_id = ?', [
+      role,
+      listId,
+      userId,
+    ]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Stop sharing a list with a user
+   * @param {number} listId - List ID
+   * @param {number} userId - Collaborator user ID
+   * @returns {boolean} True if the collaborator was removed
+   */
+  static delete(listId, userId) {
+    const result = run('DELETE FROM list_collaborators WHERE list_id = ? AND user_id = ?', [listId, userId]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Validate a collaborator role
+   * @param {string} role - Role to validate
+   * @returns {boolean} True if valid
+   */
+  static isValidRole(role) {
+    return ListCollaborator.ROLES.includes(role);
+  }
+}
+
+module.exports = ListCollaborator;
@@ -0,0 +1,211 @@
+// models/ListFolder.js
+const { get, run, all, transaction } = require('../config/database');
+const List = require('./List');
+
+// Folder IDs of a folder and everything nested inside it
+const FOLDER_TREE = `
+  WITH RECURSIVE tree(id) AS (
+    SELECT id FROM list_folders WHERE id = ?
+    UNION ALL
+    SELECT f.id FROM list_folders f INNER JOIN tree ON f.parent_id = tree.id
+  )
+`;
+
+/**
+ * Convert a list_folders row to the API shape
+ * @param {Object} folder - Database row with list_count and folder_count
+ * @returns {Object} Folder object
+ */
+function formatFolder(folder) {
+  return {
+    id: folder.id,
+    parentId: folder.parent_id,
+    name: folder.name,
+    listCount: folder.list_count,
+    folderCount: folder.folder_count,
+    createdAt: folder.created_at,
+    updatedAt: folder.updated_at,
+  };
+}
+
+/**
+ * ListFolder Model
+ * Handles the nestable folders users organise their lists into
+ */
+class ListFolder {
+  /**
+   * Get all of a user's folders
+   * @param {number} userId - User ID
+   * @returns {Array} Array of folder objects with parentId and direct list/subfolder counts
+   */
+  static getAllByUser(userId) {
+    const folders = all(
+      `
+      SELECT
+        f.*,
+        (SELECT COUNT(*) FROM lists l WHERE l.folder_id = f.id) as list_count,
+        (SELECT COUNT(*) FROM list_folders child WHERE child.parent_id = f.id) as folder_count
+      FROM list_folders f
+      WHERE f.user_id = ?
+      ORDER BY f.name COLLATE NOCASE
+    `,
+      [userId]
+    );
+
+    return folders.map(formatFolder);
+  }
+
+  /**
+   * Get one of a user's folders
+   * @param {number} id - Folder ID
+   * @param {number} userId - User ID
+   * @returns {Object|undefined} Folder object (undefined if missing or owned by someone else)
+   */
+  static findById(id, userId) {
+    const folder = get(
+      `
+      SELECT
+        f.*,
+        (SELECT COUNT(*) FROM lists l WHERE l.folder_id = f.id) as list_count,
+        (SELECT COUNT(*) FROM list_folders child WHERE child.parent_id = f.id) as folder_count
+      FROM list_folders f
+      WHERE f.id = ? AND f.user_id = ?
+    `,
+      [id, userId]
+    );
+
+    return folder ? formatFolder(folder) : undefined;
+  }
+
+  /**
+   * Add up the lists in a folder and all of its subfolders
+   * @param {number} id - Folder ID
+   * @returns {Object} Statistics with list count, item count, total points and assembly/painting progress
+   */
+  static getStatistics(id) {
+    const lists = get(
+      `
+      ${FOLDER_TREE}
+      SELECT COUNT(*) as count
+      FROM lists
+      WHERE folder_id IN (SELECT id FROM tree)
+    `,
+      [id]
+    );
+
+    const items = all(
+      `
+      ${FOLDER_TREE}
+      SELECT li.quantity, li.assembly_status, li.painting_status, m.points_value
+      FROM list_items li
+      INNER JOIN lists l ON li.list_id = l.id
+      INNER JOIN miniatures m ON li.miniature_id = m.id
+      WHERE l.folder_id IN (SELECT id FROM tree)
+    `,
+      [id]
+    );
+
+    return {
+      totalLists: lists.count,
+      ...List.calculateStatistics(items),
+    };
+  }
+
+  /**
+   * Check whether a folder is the other folder or nested somewhere inside it
+   * @param {number} id - Folder ID to look for
+   * @param {number} ancestorId - Folder ID whose tree to search
+   * @returns {boolean} True if id is ancestorId or one of its descendants
+   */
+  static isWithin(id, ancestorId) {
+    const result = get(
+      `
+      ${FOLDER_TREE}
+      SELECT COUNT(*) as count
+      FROM tree
+      WHERE id = ?
+    `,
+      [ancestorId, id]
+    );
+    return result.count > 0;
+  }
+
+  /**
+   * Create new folder
+   * @param {Object} folderData - Folder data (userId, name, parentId)
+   * @returns {Object} Created folder
+   */
+  static create(folderData) {
+    const { userId, name, parentId = null } = folderData;
+
+    const result = run(
+      `
+      INSERT INTO list_folders (user_id, parent_id, name)
+      VALUES (?, ?, ?)
+    `,
+      [userId, parentId, name]
+    );
+
+    return ListFolder.findById(result.lastID, userId);
+  }
+
+  /**
+   * Rename or move a folder
+   * @param {number} id - Folder ID
+   * @param {Object} folderData - Updated data (name, parentId; null parentId moves it to the top level)
+   */
+  static update(id, folderData) {
+    const updates = [];
+    const params = [];
+
+    if (folderData.name !== undefined) {
+      updates.push('name = ?');
+      params.push(folderData.name);
+    }
+
+    if (folderData.parentId !== undefined) {
+      updates.push('parent_id = ?');
+      params.push(folderData.parentId);
+    }
+
+    updates.push("updated_at = datetime('now')");
+    params.push(id);
+    run(`UPDATE list_folders SET ${updates.join(', ')} WHERE id = ?`, params);
+  }
+
+  /**
+   * Delete a folder, moving its lists and subfolders up into its parent
+   * @param {number} id - Folder ID
+   */
+  static delete(id) {
+    transaction(() => {
+      const { parent_id: parentId } = get('SELECT parent_id FROM list_folders WHERE id = ?', [id]);
+
+      run('UPDATE lists SET folder_id = ? WHERE folder_id = ?', [parentId, id]);
+      run('UPDATE list_folders SET parent_id = ? WHERE parent_id = ?', [parentId, id]);
+      run('DELETE FROM list_folders WHERE id = ?', [id]);
+    });
+  }
+
+  /**
+   * Check if a user has a folder with this name in the same parent folder
+   * @param {number} userId - User ID
+   * @param {string} name - Folder name
+   * @param {number|null} parentId - Parent folder ID (null for the top level)
+   * @param {number|null} excludeId - Folder ID to ignore (when renaming)
+   * @returns {boolean} True if the name is taken
+   */
+  static nameExists(userId, name, parentId, excludeId = null) {
+    const result = get(
+      `
+      SELECT COUNT(*) as count
+      FROM list_folders
+      WHERE user_id = ? AND parent_id IS ? AND name = ? COLLATE NOCASE AND id IS NOT ?
+    `,
+      [userId, parentId, name, excludeId]
+    );
+    return result.count > 0;
+  }
+}
+
+module.exports = ListFolder;
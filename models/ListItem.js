@@ -1,5 +1,5 @@
 // models/ListItem.js
-const { get, run } = require('../config/database');
+const { get, run, transaction } = require('../config/database');
 
 /**
  * ListItem Model
@@ -46,28 +46,28 @@ class ListItem {
       notes,
     } = itemData;
 
-    const result = run(
-      `
-      INSERT INTO list_items (
-        list_id, miniature_id, quantity,
-        assembly_status, painting_status, notes
-      )
-      VALUES (?, ?, ?, ?, ?, ?)
-    `,
-      [
-        listId,
-        miniatureId,
-        quantity || 1,
-        assemblyStatus || 'Not Started',
-        paintingStatus || 'Unpainted',
-        notes || null,
-      ]
-    );
-
-    // Update list's updated_at timestamp
-    run("UPDATE lists SET updated_at = datetime('now') WHERE id = ?", [
-      listId,
-    ]);
+    const result = transaction(() => {
+      const inserted = run(
+        `
+        INSERT INTO list_items (
+          list_id, miniature_id, quantity,
+          assembly_status, painting_status, notes
+        )
+        VALUES (?, ?, ?, ?, ?, ?)
+      `,
+        [
+          listId,
+          miniatureId,
+          quantity || 1,
+          assemblyStatus || 'Not Started',
+          paintingStatus || 'Unpainted',
+          notes || null,
+        ]
+      );
+
+      ListItem.touchList(listId);
+      return inserted;
+    });
 
     return {
       id: result.lastID,
@@ -111,15 +111,15 @@ class ListItem {
 
     if (updates.length > 0) {
       params.push(id);
-      run(`UPDATE list_items SET ${updates.join(', ')} WHERE id = ?`, params);
 
-      // Update list's updated_at timestamp
-      const item = ListItem.findById(id);
-      if (item) {
-        run("UPDATE lists SET updated_at = datetime('now') WHERE id = ?", [
-          item.list_id,
-        ]);
-      }
+      transaction(() => {
+        run(`UPDATE list_items SET ${updates.join(', ')} WHERE id = ?`, params);
+
+        const item = ListItem.findById(id);
+        if (item) {
+          ListItem.touchList(item.list_id);
+        }
+      });
     }
   }
 
@@ -128,17 +128,24 @@ class ListItem {
    * @param {number} id - List item ID
    */
   static delete(id) {
-    // Get list ID before deleting
-    const item = ListItem.findById(id);
+    transaction(() => {
+      // Get list ID before deleting
+      const item = ListItem.findById(id);
 
-    run('DELETE FROM list_items WHERE id = ?', [id]);
+      run('DELETE FROM list_items WHERE id = ?', [id]);
 
-    // Update list's updated_at timestamp
-    if (item) {
-      run("UPDATE lists SET updated_at = datetime('now') WHERE id = ?", [
-        item.list_id,
-      ]);
-    }
+      if (item) {
+        ListItem.touchList(item.list_id);
+      }
+    });
+  }
+
+  /**
+   * Update a list's updated_at timestamp
+   * @param {number} listId - List ID
+   */
+  static touchList(listId) {
+    run("UPDATE lists SET updated_at = datetime('now') WHERE id = ?", [listId]);
   }
 
   /**
@@ -0,0 +1,154 @@
+// models/LoginThrottle.js
+const { get, run, all, transaction } = require('../config/database');
+
+/**
+ * LoginThrottle Model
+ * Tracks failed logins per IP and per account, with exponential back-off
+ * and a temporary lockout once an account sees too many failures
+ */
+class LoginThrottle {
+  /**
+   * Throttle settings for each kind of key
+   * - freeAttempts: failures allowed before any delay
+   * - baseDelay / maxDelay: back-off starts at baseDelay and doubles up to maxDelay (ms)
+   * - lockoutAfter / lockoutDuration: failures that lock the key, and for how long (ms)
+   */
+  static POLICIES = {
+    account: {
+      freeAttempts: 3,
+      baseDelay: 1000,
+      maxDelay: 5 * 60 * 1000,
+      lockoutAfter: 10,
+      lockoutDuration: 15 * 60 * 1000,
+    },
+    ip: {
+      // Many users can share an IP (NAT), so be more lenient
+      freeAttempts: 10,
+      baseDelay: 1000,
+      maxDelay: 5 * 60 * 1000,
+      lockoutAfter: 50,
+      lockoutDuration: 15 * 60 * 1000,
+    },
+  };
+
+  /**
+   * Failures older than this are forgotten (1 hour)
+   */
+  static FAILURE_WINDOW = 60 * 60 * 1000;
+
+  /**
+   * Build the key for an account
+   * @param {string} username - Username as typed
+   * @returns {string} Throttle key
+   */
+  static accountKey(username) {
+    return `account:${String(username).toLowerCase()}`;
+  }
+
+  /**
+   * Build the key for a client IP
+   * @param {string} ip - Client IP address
+   * @returns {string} Throttle key
+   */
+  static ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  /**
+   * Check whether any of the keys is currently blocked
+   * @param {Array} keys - Throttle keys
+   * @returns {Object} { blocked, locked, retryAfter } - retryAfter in seconds, locked
+   * is true when an account key has hit the lockout threshold
+   */
+  static check(keys) {
+    const now = Date.now();
+    const placeholders = keys.map(() => '?').join(', ');
+    const rows = all(
+      `SELECT * FROM login_throttles WHERE key IN (${placeholders}) AND blocked_until > ? AND last_failure_at > ?`,
+      [...keys, now, now - LoginThrottle.FAILURE_WINDOW]
+    );
+
+    if (rows.length === 0) {
+      return { blocked: false, locked: false, retryAfter: 0 };
+    }
+
+    const blockedUntil = Math.max(...rows.map((row) => row.blocked_until));
+    const locked = rows.some(
+      (row) => row.key.startsWith('account:') && row.failures >= LoginThrottle.POLICIES.account.lockoutAfter
+    );
+
+    return { blocked: true, locked, retryAfter: Math.ceil((blockedUntil - now) / 1000) };
+  }
+
+  /**
+   * Record a failed login against a key and work out its next block
+   * @param {string} key - Throttle key
+   * @returns {Object} { failures, blockedUntil }
+   */
+  static recordFailure(key) {
+    const policy = LoginThrottle.POLICIES[key.split(':')[0]];
+    const now = Date.now();
+
+    return transaction(() => {
+      const existing = get('SELECT * FROM login_throttles WHERE key = ?', [key]);
+      const recent = existing && existing.last_failure_at > now - LoginThrottle.FAILURE_WINDOW;
+      const failures = recent ? existing.failures + 1 : 1;
+
+      let blockedUntil = 0;
+      if (failures >= policy.lockoutAfter) {
+        blockedUntil = now + policy.lockoutDuration;
+      } else if (failures > policy.freeAttempts) {
+        const delay = policy.baseDelay * 2 ** (failures - policy.freeAttempts - 1);
+        blockedUntil = now + Math.min(delay, policy.maxDelay);
+      }
+
+      run(
+        `
+        INSERT INTO login_throttles (key, failures, last_failure_at, blocked_until) VALUES (?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET
+          failures = excluded.failures,
+          last_failure_at = excluded.last_failure_at,
+          blocked_until = excluded.blocked_until
+      `,
+        [key, failures, now, blockedUntil]
+      );
+
+      // Forget failures that have aged out
+      run('DELETE FROM login_throttles WHERE last_failure_at <= ?', [now - LoginThrottle.FAILURE_WINDOW]);
+
+      return { failures, blockedUntil };
+    });
+  }
+
+  /**
+   * Clear the failures for a key (after a successful login or an admin unlock)
+   * @param {string} key - Throttle key
+   * @returns {boolean} True if there was anything to clear
+   */
+  static reset(key) {
+    return run('DELETE FROM login_throttles WHERE key = ?', [key]).changes > 0;
+  }
+
+  /**
+   * Get accounts that are currently locked out
+   * @returns {Array} Array of { username, failures, lockedUntil }
+   */
+  static getLockedAccounts() {
+    const rows = all(
+      `
+      SELECT * FROM login_throttles
+      WHERE key LIKE 'account:%' AND failures >= ? AND blocked_until > ?
+      ORDER BY blocked_until DESC
+    `,
+      [LoginThrottle.POLICIES.account.lockoutAfter, Date.now()]
+    );
+
+    return rows.map((row) => ({
+      username: row.key.slice('account:'.length),
+      failures: row.failures,
+      lockedUntil: new Date(row.blocked_until).toISOString(),
+    }));
+  }
+}
+
+module.exports = LoginThrottle;
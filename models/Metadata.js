@@ -1,5 +1,5 @@
 // models/Metadata.js
-const { get, run } = require('../config/database');
+const { get, run, transaction } = require('../config/database');
 
 /**
  * Metadata Model
@@ -31,57 +31,63 @@ class Metadata {
    * @returns {Object} Created/updated metadata with ID
    */
   static createOrUpdate(listItemId, metadataData) {
-    const existing = Metadata.findByListItemId(listItemId);
+    // Read and write together so two saves can't both insert a row
+    return transaction(() => {
+      const existing = Metadata.findByListItemId(listItemId);
+
+      if (existing) {
+        // Update existing metadata
+        Metadata.update(existing.id, metadataData);
+        return {
+          id: existing.id,
+          listItemId,
+          ...metadataData,
+        };
+      }
+
+      // Create new metadata
+      const {
+        paintColors,
+        techniques,
+        purchaseDate,
+        cost,
+        currency,
+        storageLocation,
+        customNotes,
+      } = metadataData;
+
+      const result = run(
+        `
+        INSERT INTO metadata (
+          list_item_id, paint_colors, techniques,
+          purchase_date, cost, currency, storage_location, custom_notes
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        [
+          listItemId,
+          paintColors || null,
+          techniques || null,
+          purchaseDate || null,
+          cost !== undefined ? cost : null,
+          currency || null,
+          storageLocation || null,
+          customNotes || null,
+        ]
+      );
 
-    if (existing) {
-      // Update existing metadata
-      Metadata.update(existing.id, metadataData);
       return {
-        id: existing.id,
+        id: result.lastID,
         listItemId,
-        ...metadataData,
+        paintColors: paintColors || null,
+        techniques: techniques || null,
+        purchaseDate: purchaseDate || null,
+        cost: cost !== undefined ? cost : null,
+        currency: currency || null,
+        storageLocation: storageLocation || null,
+        customNotes: customNotes || null,
       };
-    }
-
-    // Create new metadata
-    const {
-      paintColors,
-      techniques,
-      purchaseDate,
-      cost,
-      storageLocation,
-      customNotes,
-    } = metadataData;
-
-    const result = run(
-      `
-      INSERT INTO metadata (
-        list_item_id, paint_colors, techniques,
-        purchase_date, cost, storage_location, custom_notes
-      )
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `,
-      [
-        listItemId,
-        paintColors || null,
-        techniques || null,
-        purchaseDate || null,
-        cost !== undefined ? cost : null,
-        storageLocation || null,
-        customNotes || null,
-      ]
-    );
-
-    return {
-      id: result.lastID,
-      listItemId,
-      paintColors: paintColors || null,
-      techniques: techniques || null,
-      purchaseDate: purchaseDate || null,
-      cost: cost !== undefined ? cost : null,
-      storageLocation: storageLocation || null,
-      customNotes: customNotes || null,
-    };
+    });
   }
 
   /**
@@ -113,6 +119,11 @@ class Metadata {
       params.push(metadataData.cost);
     }
 
+    if (metadataData.currency !== undefined) {
+      updates.push('currency = ?');
+      params.push(metadataData.currency);
+    }
+
     if (metadataData.storageLocation !== undefined) {
       updates.push('storage_location = ?');
       params.push(metadataData.storageLocation);
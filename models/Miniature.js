@@ -11,7 +11,7 @@ class Miniature {
    * @param {Object} filters - Filter options
    * @param {number} filters.factionId - Filter by faction ID
    * @param {number} filters.unitTypeId - Filter by unit type ID
-   * @param {string} filters.search - Search by name
+   * @param {string} filters.search - Full-text search (see Miniature.search)
    * @param {number} filters.limit - Results per page
    * @param {number} filters.offset - Pagination offset
    * @returns {Object} Object with miniatures array and total count
@@ -19,6 +19,10 @@ class Miniature {
   static getAll(filters = {}) {
     const { factionId, unitTypeId, search, limit = 50, offset = 0 } = filters;
 
+    if (search) {
+      return Miniature.search(filters);
+    }
+
     // Build query
     let query = `
       SELECT
@@ -42,11 +46,6 @@ class Miniature {
       params.push(unitTypeId);
     }
 
-    if (search) {
-      query += ' AND m.name LIKE ?';
-      params.push(`%${search}%`);
-    }
-
     // Get total count
     const countQuery = query.replace(/SELECT.*FROM/s, 'SELECT COUNT(*) as count FROM');
     const countResult = get(countQuery, params);
@@ -59,18 +58,7 @@ class Miniature {
     const miniatures = all(query, params);
 
     return {
-      miniatures: miniatures.map((m) => ({
-        id: m.id,
-        name: m.name,
-        factionId: m.faction_id,
-        factionName: m.faction_name,
-        unitTypeId: m.unit_type_id,
-        unitTypeName: m.unit_type_name,
-        pointsValue: m.points_value,
-        baseSize: m.base_size,
-        description: m.description,
-        createdAt: m.created_at,
-      })),
+      miniatures: miniatures.map((m) => Miniature.formatRow(m)),
       total,
       limit,
       offset,
@@ -78,6 +66,161 @@ class Miniature {
     };
   }
 
+  /**
+   * Ranked full-text search over name, description, faction and unit type.
+   * Every word must match (as a prefix, with stemming). When nothing matches,
+   * falls back to a trigram search over names so typos still find something.
+   * @param {Object} filters - Same options as getAll, search is required
+   * @returns {Object} getAll result plus fuzzy flag; each miniature has
+   * rank and highlight { name, snippet } with matches wrapped in <mark>
+   */
+  static search(filters) {
+    const { factionId, unitTypeId, search, limit = 50, offset = 0 } = filters;
+
+    const filterSql = [];
+    const filterParams = [];
+
+    if (factionId) {
+      filterSql.push('AND m.faction_id = ?');
+      filterParams.push(factionId);
+    }
+
+    if (unitTypeId) {
+      filterSql.push('AND m.unit_type_id = ?');
+      filterParams.push(unitTypeId);
+    }
+
+    const runSearch = (index, match, columns) => {
+      const from = `
+        FROM ${index}
+        INNER JOIN miniatures m ON m.id = ${index}.rowid
+        LEFT JOIN factions f ON m.faction_id = f.id
+        LEFT JOIN unit_types ut ON m.unit_type_id = ut.id
+        WHERE ${index} MATCH ? ${filterSql.join(' ')}
+      `;
+
+      const countResult = get(`SELECT COUNT(*) as count ${from}`, [match, ...filterParams]);
+      const rows = all(
+        `
+        SELECT m.*, f.name as faction_name, ut.name as unit_type_name, ${columns}
+        ${from}
+        ORDER BY rank, m.name
+        LIMIT ? OFFSET ?
+      `,
+        [match, ...filterParams, limit, offset]
+      );
+
+      return { rows, total: countResult.count };
+    };
+
+    let fuzzy = false;
+    let result = { rows: [], total: 0 };
+
+    const match = Miniature.buildMatchQuery(search);
+    if (match) {
+      result = runSearch(
+        'miniatures_fts',
+        match,
+        `
+        bm25(miniatures_fts, 10.0, 1.0, 4.0, 4.0) as rank,
+        highlight(miniatures_fts, 0, '<mark>', '</mark>') as name_highlight,
+        snippet(miniatures_fts, -1, '<mark>', '</mark>', '…', 12) as snippet
+      `
+      );
+    }
+
+    const fuzzyMatch = Miniature.buildFuzzyMatchQuery(search);
+    if (result.total === 0 && fuzzyMatch) {
+      fuzzy = true;
+      result = runSearch(
+        'miniatures_fuzzy',
+        fuzzyMatch,
+        `
+        bm25(miniatures_fuzzy) as rank,
+        highlight(miniatures_fuzzy, 0, '<mark>', '</mark>') as name_highlight,
+        NULL as snippet
+      `
+      );
+    }
+
+    return {
+      miniatures: result.rows.map((m) => ({
+        ...Miniature.formatRow(m),
+        rank: m.rank,
+        highlight: {
+          name: m.name_highlight,
+          snippet: m.snippet,
+        },
+      })),
+      total: result.total,
+      limit,
+      offset,
+      hasMore: offset + result.rows.length < result.total,
+      fuzzy,
+    };
+  }
+
+  /**
+   * Split search text into lowercase words, dropping punctuation and FTS5 syntax
+   * @param {string} search - Raw search text
+   * @returns {Array} Array of words
+   */
+  static splitWords(search) {
+    const words = String(search)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu);
+    return words || [];
+  }
+
+  /**
+   * Turn user input into an FTS5 query: every word, as a quoted prefix term
+   * @param {string} search - Raw search text
+   * @returns {string|null} MATCH expression, or null if there are no words
+   */
+  static buildMatchQuery(search) {
+    const words = Miniature.splitWords(search);
+    return words.length > 0 ? words.map((word) => `"${word}"*`).join(' ') : null;
+  }
+
+  /**
+   * Turn user input into a trigram query that matches names sharing any
+   * three-letter run with the search words (ranked by how many they share)
+   * @param {string} search - Raw search text
+   * @returns {string|null} MATCH expression, or null if no word is long enough
+   */
+  static buildFuzzyMatchQuery(search) {
+    const words = Miniature.splitWords(search);
+    const trigrams = new Set();
+
+    words.forEach((word) => {
+      for (let i = 0; i + 3 <= word.length; i += 1) {
+        trigrams.add(word.slice(i, i + 3));
+      }
+    });
+
+    return trigrams.size > 0 ? [...trigrams].map((trigram) => `"${trigram}"`).join(' OR ') : null;
+  }
+
+  /**
+   * Map a miniatures row (with faction/unit type names) to the API shape
+   * @param {Object} m - Database row
+   * @returns {Object} Miniature object
+   */
+  static formatRow(m) {
+    return {
+      id: m.id,
+      name: m.name,
+      factionId: m.faction_id,
+      factionName: m.faction_name,
+      unitTypeId: m.unit_type_id,
+      unitTypeName: m.unit_type_name,
+      pointsValue: m.points_value,
+      baseSize: m.base_size,
+      description: m.description,
+      createdAt: m.created_at,
+    };
+  }
+
   /**
    * Find miniature by ID with related data
    * @param {number} id - Miniature ID
@@ -0,0 +1,85 @@
+// models/PasswordResetToken.js
+const crypto = require('crypto');
+const { get, run, transaction } = require('../config/database');
+
+/**
+ * PasswordResetToken Model
+ * Handles single-use, expiring password reset tokens
+ */
+class PasswordResetToken {
+  /**
+   * How long a reset link stays valid (1 hour)
+   */
+  static TTL = 60 * 60 * 1000;
+
+  /**
+   * Minimum time between reset emails for one user (1 minute)
+   */
+  static RESEND_INTERVAL = 60 * 1000;
+
+  /**
+   * Hash a plain text token for storage and lookup
+   * @param {string} token - Plain text token
+   * @returns {string} SHA-256 hex digest
+   */
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a new token, replacing any the user still has outstanding
+   * @param {number} userId - User ID
+   * @returns {Object} Object with the plain text token and its expiry
+   */
+  static create(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + PasswordResetToken.TTL;
+
+    transaction(() => {
+      run('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL', [userId]);
+      run('INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)', [
+        userId,
+        PasswordResetToken.hash(token),
+        expiresAt,
+      ]);
+    });
+
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Check whether a token was issued to the user very recently
+   * @param {number} userId - User ID
+   * @returns {boolean} True if another email should not be sent yet
+   */
+  static recentlyIssued(userId) {
+    const result = get(
+      'SELECT COUNT(*) as count FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL AND expires_at > ?',
+      [userId, Date.now() + PasswordResetToken.TTL - PasswordResetToken.RESEND_INTERVAL]
+    );
+    return result.count > 0;
+  }
+
+  /**
+   * Use a token: marks it used so it can't be replayed
+   * @param {string} token - Plain text token from the reset link
+   * @returns {number|null} User ID, or null if the token is invalid, used or expired
+   */
+  static consume(token) {
+    return transaction(() => {
+      const row = get(
+        'SELECT id, user_id FROM password_reset_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+        [PasswordResetToken.hash(token), Date.now()]
+      );
+
+      if (!row) {
+        return null;
+      }
+
+      run("UPDATE password_reset_tokens SET used_at = datetime('now') WHERE id = ?", [row.id]);
+      return row.user_id;
+    });
+  }
+}
+
+module.exports = PasswordResetToken;
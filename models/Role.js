@@ -0,0 +1,121 @@
+// models/Role.js
+const { get, run, all, transaction } = require('../config/database');
+
+/**
+ * Role Model
+ * Handles roles, the permissions they grant and which users hold them
+ */
+class Role {
+  /**
+   * Every permission a role can grant (admins implicitly have all of them)
+   */
+  static PERMISSIONS = {
+    'catalog:write': 'Create, edit and delete factions, unit types and miniatures',
+    'users:read': 'List and view user accounts',
+    'users:manage': 'Disable and enable accounts, force password resets and unlock logins',
+  };
+
+  /**
+   * Get all roles with their permissions
+   * @returns {Array} Array of role objects
+   */
+  static getAll() {
+    const roles = all(
+      `
+      SELECT
+        r.id, r.name, r.description,
+        (SELECT group_concat(permission) FROM role_permissions WHERE role_id = r.id) as permissions,
+        (SELECT COUNT(*) FROM user_roles WHERE role_id = r.id) as user_count
+      FROM roles r
+      ORDER BY r.name
+    `
+    );
+
+    return roles.map((role) => ({
+      id: role.id,
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions ? role.permissions.split(',').sort() : [],
+      userCount: role.user_count,
+    }));
+  }
+
+  /**
+   * Get the names of the roles a user holds
+   * @param {number} userId - User ID
+   * @returns {Array} Array of role names
+   */
+  static getUserRoles(userId) {
+    return all(
+      `
+      SELECT r.name
+      FROM user_roles ur
+      INNER JOIN roles r ON ur.role_id = r.id
+      WHERE ur.user_id = ?
+      ORDER BY r.name
+    `,
+      [userId]
+    ).map((role) => role.name);
+  }
+
+  /**
+   * Read what a user may do, straight from the database
+   * @param {number} userId - User ID
+   * @returns {Object|undefined} Object with isAdmin, roles and permissions, or undefined for missing/disabled users
+   */
+  static getAccess(userId) {
+    const user = get('SELECT is_admin FROM users WHERE id = ? AND is_disabled = 0', [userId]);
+
+    if (!user) {
+      return undefined;
+    }
+
+    const isAdmin = Boolean(user.is_admin);
+    let permissions = Object.keys(Role.PERMISSIONS);
+
+    if (!isAdmin) {
+      permissions = all(
+        `
+        SELECT DISTINCT rp.permission
+        FROM user_roles ur
+        INNER JOIN role_permissions rp ON ur.role_id = rp.role_id
+        WHERE ur.user_id = ?
+        ORDER BY rp.permission
+      `,
+        [userId]
+      ).map((row) => row.permission);
+    }
+
+    return {
+      isAdmin,
+      roles: Role.getUserRoles(userId),
+      permissions,
+    };
+  }
+
+  /**
+   * Replace the roles a user holds
+   * @param {number} userId - User ID
+   * @param {Array} roleNames - Names of the roles to hold (all must exist)
+   */
+  static setUserRoles(userId, roleNames) {
+    transaction(() => {
+      run('DELETE FROM user_roles WHERE user_id = ?', [userId]);
+      roleNames.forEach((name) => {
+        run('INSERT INTO user_roles (user_id, role_id) SELECT ?, id FROM roles WHERE name = ?', [userId, name]);
+      });
+    });
+  }
+
+  /**
+   * Find role names that don't exist
+   * @param {Array} roleNames - Role names to check
+   * @returns {Array} Unknown role names
+   */
+  static findUnknown(roleNames) {
+    const known = all('SELECT name FROM roles').map((role) => role.name);
+    return roleNames.filter((name) => !known.includes(name));
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,308 @@
+// models/TwoFactor.js
+const crypto = require('crypto');
+const { get, run, transaction } = require('../config/database');
+
+// RFC 4648 base32 alphabet (used for TOTP secrets)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Name shown next to the account in authenticator apps
+const ISSUER = process.env.TOTP_ISSUER || 'MiniTrackingSystem';
+
+/**
+ * TwoFactor Model
+ * Handles TOTP (RFC 6238) secrets and one-time recovery codes
+ */
+class TwoFactor {
+  /**
+   * TOTP time step in seconds
+   */
+  static PERIOD = 30;
+
+  /**
+   * Digits per code
+   */
+  static DIGITS = 6;
+
+  /**
+   * Steps either side of now that are still accepted (allows for clock drift)
+   */
+  static WINDOW = 1;
+
+  /**
+   * How long the second login step may take after the first is accepted (5 minutes)
+   */
+  static LOGIN_TIMEOUT = 5 * 60 * 1000;
+
+  /**
+   * Recovery codes issued at a time
+   */
+  static RECOVERY_CODE_COUNT = 10;
+
+  /**
+   * Encode bytes as unpadded base32
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} Base32 string
+   */
+  static base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach((byte) => {
+      bits += byte.toString(2).padStart(8, '0');
+    });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  /**
+   * Decode unpadded base32
+   * @param {string} text - Base32 string
+   * @returns {Buffer} Decoded bytes
+   */
+  static base32Decode(text) {
+    let bits = '';
+    text
+      .toUpperCase()
+      .replace(/=+$/, '')
+      .split('')
+      .forEach((char) => {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+      });
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Calculate the TOTP code for a time step
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step (seconds since the epoch / PERIOD)
+   * @returns {string} Zero-padded code
+   */
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', TwoFactor.base32Decode(secret)).update(counter).digest();
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0xf; // eslint-disable-line no-bitwise
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff; // eslint-disable-line no-bitwise
+
+    return String(binary % 10 ** TwoFactor.DIGITS).padStart(TwoFactor.DIGITS, '0');
+  }
+
+  /**
+   * Current TOTP time step
+   * @returns {number} Time step
+   */
+  static currentStep() {
+    return Math.floor(Date.now() / 1000 / TwoFactor.PERIOD);
+  }
+
+  /**
+   * Find the time step a code belongs to
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number|null} lastUsedStep - Last accepted step (codes at or before it are rejected)
+   * @returns {number|null} Matching step, or null if the code is wrong or already used
+   */
+  static matchStep(secret, code, lastUsedStep) {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TwoFactor.DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const now = TwoFactor.currentStep();
+    for (let step = now - TwoFactor.WINDOW; step <= now + TwoFactor.WINDOW; step += 1) {
+      const expected = Buffer.from(TwoFactor.generateCode(secret, step));
+      if ((lastUsedStep === null || step > lastUsedStep) && crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI that authenticator apps scan as a QR code
+   * @param {string} username - Account name shown in the app
+   * @param {string} secret - Base32 secret
+   * @returns {string} otpauth URI
+   */
+  static buildUri(username, secret) {
+    const label = `${encodeURIComponent(ISSUER)}:${encodeURIComponent(username)}`;
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TwoFactor.DIGITS),
+      period: String(TwoFactor.PERIOD),
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  /**
+   * Hash a recovery code for storage and lookup
+   * @param {string} code - Recovery code (dashes, spaces and case are ignored)
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Get a user's 2FA status
+   * @param {number} userId - User ID
+   * @returns {Object} Object with enabled, pending and recoveryCodesRemaining
+   */
+  static getStatus(userId) {
+    const row = get('SELECT enabled_at FROM user_two_factor WHERE user_id = ?', [userId]);
+    const codes = get('SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL', [
+      userId,
+    ]);
+
+    return {
+      enabled: Boolean(row?.enabled_at),
+      enabledAt: row?.enabled_at || null,
+      pending: Boolean(row && !row.enabled_at),
+      recoveryCodesRemaining: row?.enabled_at ? codes.count : 0,
+    };
+  }
+
+  /**
+   * Check whether 2FA is turned on for a user
+   * @param {number} userId - User ID
+   * @returns {boolean} True if logins need a second step
+   */
+  static isEnabled(userId) {
+    const row = get('SELECT 1 FROM user_two_factor WHERE user_id = ? AND enabled_at IS NOT NULL', [userId]);
+    return Boolean(row);
+  }
+
+  /**
+   * Start (or restart) enrollment with a fresh secret
+   * @param {number} userId - User ID
+   * @param {string} username - Username for the otpauth label
+   * @returns {Object} Object with the base32 secret and otpauth URI
+   */
+  static startEnrollment(userId, username) {
+    const secret = TwoFactor.base32Encode(crypto.randomBytes(20));
+
+    run(
+      `
+      INSERT INTO user_two_factor (user_id, secret) VALUES (?, ?)
+      ON CONFLICT(user_id) DO UPDATE SET secret = excluded.secret, enabled_at = NULL, last_used_step = NULL
+    `,
+      [userId, secret]
+    );
+
+    return { secret, otpauthUri: TwoFactor.buildUri(username, secret) };
+  }
+
+  /**
+   * Check a TOTP code and record its time step so it can't be used twice
+   * @param {number} userId - User ID
+   * @param {string} code - Code from the authenticator app
+   * @param {boolean} pending - Check against an enrollment that isn't enabled yet
+   * @returns {boolean} True if the code is valid
+   */
+  static verifyCode(userId, code, pending = false) {
+    return transaction(() => {
+      const row = get(
+        `SELECT secret, last_used_step FROM user_two_factor WHERE user_id = ? AND enabled_at IS ${pending ? '' : 'NOT '}NULL`,
+        [userId]
+      );
+      if (!row) {
+        return false;
+      }
+
+      const step = TwoFactor.matchStep(row.secret, code, row.last_used_step);
+      if (step === null) {
+        return false;
+      }
+
+      run('UPDATE user_two_factor SET last_used_step = ? WHERE user_id = ?', [step, userId]);
+      return true;
+    });
+  }
+
+  /**
+   * Finish enrollment: check the first code, enable 2FA and issue recovery codes
+   * @param {number} userId - User ID
+   * @param {string} code - First code from the authenticator app
+   * @returns {Array|null} Plain text recovery codes (shown only once), or null if the code is wrong
+   */
+  static confirmEnrollment(userId, code) {
+    return transaction(() => {
+      if (!TwoFactor.verifyCode(userId, code, true)) {
+        return null;
+      }
+
+      run("UPDATE user_two_factor SET enabled_at = datetime('now') WHERE user_id = ?", [userId]);
+      return TwoFactor.regenerateRecoveryCodes(userId);
+    });
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {number} userId - User ID
+   * @returns {Array} Plain text recovery codes (shown only once)
+   */
+  static regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: TwoFactor.RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    transaction(() => {
+      run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+      codes.forEach((code) => {
+        run('INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)', [
+          userId,
+          TwoFactor.hashRecoveryCode(code),
+        ]);
+      });
+    });
+
+    return codes;
+  }
+
+  /**
+   * Use up a recovery code
+   * @param {number} userId - User ID
+   * @param {string} code - Recovery code
+   * @returns {boolean} True if the code was valid and unused
+   */
+  static useRecoveryCode(userId, code) {
+    const result = run(
+      `
+      UPDATE two_factor_recovery_codes SET used_at = datetime('now')
+      WHERE id = (
+        SELECT id FROM two_factor_recovery_codes
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        LIMIT 1
+      )
+    `,
+      [userId, TwoFactor.hashRecoveryCode(code)]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Turn 2FA off and delete the secret and recovery codes
+   * @param {number} userId - User ID
+   */
+  static disable(userId) {
+    transaction(() => {
+      run('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+      run('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+    });
+  }
+}
+
+module.exports = TwoFactor;
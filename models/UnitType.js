@@ -1,5 +1,5 @@
 // models/UnitType.js
-const { get, run, all } = require('../config/database');
+const { get, run, all, transaction } = require('../config/database');
 
 /**
  * UnitType Model
@@ -58,13 +58,15 @@ class UnitType {
   static update(id, unitTypeData) {
     const { name, description } = unitTypeData;
 
-    if (name) {
-      run('UPDATE unit_types SET name = ? WHERE id = ?', [name, id]);
-    }
+    transaction(() => {
+      if (name) {
+        run('UPDATE unit_types SET name = ? WHERE id = ?', [name, id]);
+      }
 
-    if (description !== undefined) {
-      run('UPDATE unit_types SET description = ? WHERE id = ?', [description, id]);
-    }
+      if (description !== undefined) {
+        run('UPDATE unit_types SET description = ? WHERE id = ?', [description, id]);
+      }
+    });
   }
 
   /**
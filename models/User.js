@@ -13,13 +13,31 @@ class User {
    * @returns {Object|undefined} User object without password hash
    */
   static findById(id) {
-    const user = get('SELECT id, username, email, is_admin, created_at FROM users WHERE id = ?', [id]);
+    const user = get(
+      `
+      SELECT
+        id, username, email, email_verified, pending_email, is_admin, is_disabled, must_change_password,
+        has_password, display_name, bio, avatar_url, profile_hidden, deletion_scheduled_at, created_at
+      FROM users WHERE id = ?
+    `,
+      [id]
+    );
     if (user) {
       return {
         id: user.id,
         username: user.username,
         email: user.email,
+        emailVerified: Boolean(user.email_verified),
+        pendingEmail: user.pending_email,
         isAdmin: Boolean(user.is_admin),
+        isDisabled: Boolean(user.is_disabled),
+        mustChangePassword: Boolean(user.must_change_password),
+        hasPassword: Boolean(user.has_password),
+        displayName: user.display_name,
+        bio: user.bio,
+        avatarUrl: user.avatar_url,
+        profileHidden: Boolean(user.profile_hidden),
+        deletionScheduledAt: user.deletion_scheduled_at ? new Date(user.deletion_scheduled_at).toISOString() : null,
         createdAt: user.created_at,
       };
     }
@@ -50,21 +68,20 @@ class User {
    * @param {string} userData.username - Username
    * @param {string} userData.email - Email
    * @param {string} userData.password - Plain text password (will be hashed)
+   * @param {boolean} userData.hasPassword - False when the password is random and nobody knows it (defaults to true)
    * @returns {Object} Created user with ID
    */
   static async create(userData) {
-    const { username, email, password } = userData;
+    const { username, email, password, hasPassword = true } = userData;
 
     // Hash password
     const passwordHash = await bcrypt.hash(password, 10);
 
     // Insert user
-    const result = run('INSERT INTO users (username, email, password_hash, is_admin) VALUES (?, ?, ?, ?)', [
-      username,
-      email,
-      passwordHash,
-      0,
-    ]);
+    const result = run(
+      'INSERT INTO users (username, email, password_hash, has_password, is_admin) VALUES (?, ?, ?, ?, ?)',
+      [username, email, passwordHash, hasPassword ? 1 : 0, 0]
+    );
 
     return {
       id: result.lastID,
@@ -74,6 +91,71 @@ class User {
     };
   }
 
+  /**
+   * Find the public profile for a username
+   * Hidden, disabled and soon-to-be-deleted accounts have no public profile
+   * @param {string} username - Username
+   * @param {number|null} viewerId - Logged-in user (owners can always see their own profile)
+   * @returns {Object|undefined} Public profile object
+   */
+  static findPublicProfile(username, viewerId = null) {
+    const user = get(
+      `
+      SELECT id, username, display_name, bio, avatar_url, profile_hidden, created_at
+      FROM users
+      WHERE username = ? AND is_disabled = 0 AND deletion_scheduled_at IS NULL
+        AND (profile_hidden = 0 OR id = ?)
+    `,
+      [username, viewerId]
+    );
+
+    if (!user) {
+      return undefined;
+    }
+
+    return {
+      id: user.id,
+      username: user.username,
+      displayName: user.display_name,
+      bio: user.bio,
+      avatarUrl: user.avatar_url,
+      profileHidden: Boolean(user.profile_hidden),
+      createdAt: user.created_at,
+    };
+  }
+
+  /**
+   * Update public profile fields (only the fields given are changed)
+   * @param {number} id - User ID
+   * @param {Object} profileData - Profile data
+   * @param {string|null} profileData.displayName - Name shown instead of the username
+   * @param {string|null} profileData.bio - Short text about the user
+   * @param {string|null} profileData.avatarUrl - Link to an avatar image
+   * @param {boolean} profileData.profileHidden - Hide the public profile
+   */
+  static updateProfile(id, profileData) {
+    const columns = {
+      displayName: 'display_name',
+      bio: 'bio',
+      avatarUrl: 'avatar_url',
+      profileHidden: 'profile_hidden',
+    };
+    const updates = [];
+    const params = [];
+
+    Object.entries(columns).forEach(([field, column]) => {
+      if (profileData[field] !== undefined) {
+        updates.push(`${column} = ?`);
+        params.push(field === 'profileHidden' ? Number(Boolean(profileData[field])) : profileData[field]);
+      }
+    });
+
+    if (updates.length > 0) {
+      params.push(id);
+      run(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, params);
+    }
+  }
+
   /**
    * Update user email
    * @param {number} id - User ID
@@ -83,6 +165,42 @@ class User {
     run('UPDATE users SET email = ? WHERE id = ?', [email, id]);
   }
 
+  /**
+   * Store a new email address until it has been verified
+   * (the current address stays in use until then)
+   * @param {number} id - User ID
+   * @param {string} email - New, unverified email
+   */
+  static setPendingEmail(id, email) {
+    run('UPDATE users SET pending_email = ? WHERE id = ?', [email, id]);
+  }
+
+  /**
+   * Mark an email address as verified, switching to it if it was pending
+   * @param {number} id - User ID
+   * @param {string} email - Address from the verification link
+   * @returns {boolean} True if the address was still awaiting verification
+   */
+  static verifyEmail(id, email) {
+    const result = run(
+      `
+      UPDATE users SET email = ?, email_verified = 1, pending_email = NULL
+      WHERE id = ? AND (pending_email = ? OR (email = ? AND email_verified = 0))
+    `,
+      [email, id, email, email]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Record when a verification email was last sent
+   * @param {number} id - User ID
+   * @param {number} sentAt - Timestamp in ms
+   */
+  static setVerificationSentAt(id, sentAt) {
+    run('UPDATE users SET verification_sent_at = ? WHERE id = ?', [sentAt, id]);
+  }
+
   /**
    * Update user password
    * @param {number} id - User ID
@@ -90,7 +208,10 @@ class User {
    */
   static async updatePassword(id, newPassword) {
     const passwordHash = await bcrypt.hash(newPassword, 10);
-    run('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, id]);
+    run('UPDATE users SET password_hash = ?, has_password = 1, must_change_password = 0 WHERE id = ?', [
+      passwordHash,
+      id,
+    ]);
   }
 
   /**
@@ -104,18 +225,128 @@ class User {
   }
 
   /**
-   * Get all users (admin only)
-   * @returns {Array} Array of user objects
+   * Get all users with their list counts (admin only)
+   * @param {Object} filters - Filter options
+   * @param {string} filters.search - Match username or email
+   * @param {number} filters.limit - Results per page
+   * @param {number} filters.offset - Pagination offset
+   * @returns {Object} Object with users array and total count
    */
-  static getAll() {
-    const users = all('SELECT id, username, email, is_admin, created_at FROM users');
-    return users.map((user) => ({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      isAdmin: Boolean(user.is_admin),
-      createdAt: user.created_at,
-    }));
+  static getAll(filters = {}) {
+    const { search, limit = 50, offset = 0 } = filters;
+
+    let where = '';
+    const params = [];
+
+    if (search) {
+      // Match % and _ literally rather than as wildcards
+      const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+      where = "WHERE u.username LIKE ? ESCAPE '\\' OR u.email LIKE ? ESCAPE '\\'";
+      params.push(pattern, pattern);
+    }
+
+    const users = all(
+      `
+      SELECT
+        u.id, u.username, u.email, u.email_verified, u.is_admin, u.is_disabled, u.must_change_password, u.created_at,
+        (SELECT COUNT(*) FROM lists l WHERE l.user_id = u.id) as list_count,
+        (
+          SELECT group_concat(r.name) FROM user_roles ur INNER JOIN roles r ON ur.role_id = r.id
+          WHERE ur.user_id = u.id
+        ) as roles
+      FROM users u
+      ${where}
+      ORDER BY u.username
+      LIMIT ? OFFSET ?
+    `,
+      [...params, limit, offset]
+    );
+
+    const countResult = get(`SELECT COUNT(*) as count FROM users u ${where}`, params);
+
+    return {
+      users: users.map((user) => ({
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        emailVerified: Boolean(user.email_verified),
+        isAdmin: Boolean(user.is_admin),
+        isDisabled: Boolean(user.is_disabled),
+        mustChangePassword: Boolean(user.must_change_password),
+        roles: user.roles ? user.roles.split(',').sort() : [],
+        listCount: user.list_count,
+        createdAt: user.created_at,
+      })),
+      total: countResult.count,
+      limit,
+      offset,
+      hasMore: offset + users.length < countResult.count,
+    };
+  }
+
+  /**
+   * Grant or revoke admin rights
+   * @param {number} id - User ID
+   * @param {boolean} isAdmin - New admin flag
+   */
+  static setAdmin(id, isAdmin) {
+    run('UPDATE users SET is_admin = ? WHERE id = ?', [isAdmin ? 1 : 0, id]);
+  }
+
+  /**
+   * Disable or re-enable an account (disabled accounts cannot log in)
+   * @param {number} id - User ID
+   * @param {boolean} isDisabled - New disabled flag
+   */
+  static setDisabled(id, isDisabled) {
+    run('UPDATE users SET is_disabled = ? WHERE id = ?', [isDisabled ? 1 : 0, id]);
+  }
+
+  /**
+   * Require the user to change their password before doing anything else
+   * @param {number} id - User ID
+   */
+  static requirePasswordChange(id) {
+    run('UPDATE users SET must_change_password = 1 WHERE id = ?', [id]);
+  }
+
+  /**
+   * Count admins who can still log in
+   * @returns {number} Number of enabled admin accounts
+   */
+  static countActiveAdmins() {
+    const result = get('SELECT COUNT(*) as count FROM users WHERE is_admin = 1 AND is_disabled = 0');
+    return result.count;
+  }
+
+  /**
+   * Schedule the account for deletion
+   * @param {number} id - User ID
+   * @param {number} deleteAt - When to purge the account (ms)
+   */
+  static scheduleDeletion(id, deleteAt) {
+    run('UPDATE users SET deletion_scheduled_at = ? WHERE id = ?', [deleteAt, id]);
+  }
+
+  /**
+   * Cancel a scheduled deletion
+   * @param {number} id - User ID
+   * @returns {boolean} True if a deletion was scheduled
+   */
+  static cancelDeletion(id) {
+    const result = run(
+      'UPDATE users SET deletion_scheduled_at = NULL WHERE id = ? AND deletion_scheduled_at IS NOT NULL',
+      [id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Get accounts whose deletion grace period is over
+   * @returns {Array} Array of user IDs
+   */
+  static getDueDeletions() {
+    return all('SELECT id FROM users WHERE deletion_scheduled_at <= ?', [Date.now()]).map((row) => row.id);
   }
 
   /**
@@ -0,0 +1,122 @@
+// models/UserIdentity.js
+const { get, run, all } = require('../config/database');
+
+/**
+ * UserIdentity Model
+ * Handles external (OIDC/OAuth2) identities linked to local accounts
+ */
+class UserIdentity {
+  /**
+   * Find the identity for a provider's user
+   * @param {string} provider - Provider name
+   * @param {string} subject - Provider's user ID
+   * @returns {Object|undefined} Identity object
+   */
+  static findByProviderSubject(provider, subject) {
+    const identity = get('SELECT * FROM user_identities WHERE provider = ? AND subject = ?', [provider, subject]);
+
+    if (!identity) {
+      return undefined;
+    }
+
+    return {
+      id: identity.id,
+      userId: identity.user_id,
+      provider: identity.provider,
+      subject: identity.subject,
+      email: identity.email,
+    };
+  }
+
+  /**
+   * Get all identities linked to a user
+   * @param {number} userId - User ID
+   * @returns {Array} Array of identity objects
+   */
+  static getAllByUser(userId) {
+    const identities = all(
+      `
+      SELECT id, provider, email, created_at, last_login_at
+      FROM user_identities
+      WHERE user_id = ?
+      ORDER BY provider
+    `,
+      [userId]
+    );
+
+    return identities.map((identity) => ({
+      id: identity.id,
+      provider: identity.provider,
+      email: identity.email,
+      createdAt: identity.created_at,
+      lastLoginAt: identity.last_login_at,
+    }));
+  }
+
+  /**
+   * Check whether a user already has an identity from a provider
+   * @param {number} userId - User ID
+   * @param {string} provider - Provider name
+   * @returns {boolean} True if linked
+   */
+  static isLinked(userId, provider) {
+    const result = get('SELECT COUNT(*) as count FROM user_identities WHERE user_id = ? AND provider = ?', [
+      userId,
+      provider,
+    ]);
+    return result.count > 0;
+  }
+
+  /**
+   * Link an external identity to a user
+   * @param {Object} identityData - Identity data
+   * @param {number} identityData.userId - User ID
+   * @param {string} identityData.provider - Provider name
+   * @param {string} identityData.subject - Provider's user ID
+   * @param {string} identityData.email - Email reported by the provider
+   * @returns {Object} Created identity with ID
+   */
+  static create(identityData) {
+    const { userId, provider, subject, email } = identityData;
+
+    const result = run('INSERT INTO user_identities (user_id, provider, subject, email) VALUES (?, ?, ?, ?)', [
+      userId,
+      provider,
+      subject,
+      email || null,
+    ]);
+
+    return {
+      id: result.lastID,
+      userId,
+      provider,
+      subject,
+      email: email || null,
+    };
+  }
+
+  /**
+   * Record a login through an identity
+   * @param {number} id - Identity ID
+   * @param {string} email - Email reported by the provider this time
+   */
+  static touch(id, email) {
+    run("UPDATE user_identities SET last_login_at = datetime('now'), email = COALESCE(?, email) WHERE id = ?", [
+      email || null,
+      id,
+    ]);
+  }
+
+  /**
+   * Unlink a user's identity
+   * @param {number} id - Identity ID
+   * @param {number} userId - Owner user ID
+   * @returns {boolean} True if an identity was removed
+   */
+  static delete(id, userId) {
+    const result = run('DELETE FROM user_identities WHERE id = ? AND user_id = ?', [id, userId]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = UserIdentity;
@@ -0,0 +1,107 @@
+// models/UserPreferences.js
+const { get, run } = require('../config/database');
+const List = require('./List');
+
+// Preference fields and the columns they are stored in
+const COLUMNS = {
+  defaultListVisibility: 'default_list_visibility',
+  currency: 'currency',
+  dateFormat: 'date_format',
+  itemSort: 'item_sort',
+  pageSize: 'page_size',
+};
+
+/**
+ * UserPreferences Model
+ * Handles per-user defaults (list visibility, currency, date format, item sort, page size)
+ */
+class UserPreferences {
+  /**
+   * Values used for anything a user hasn't set
+   */
+  static DEFAULTS = {
+    defaultListVisibility: 'private',
+    currency: 'USD',
+    dateFormat: 'YYYY-MM-DD',
+    itemSort: '-added',
+    pageSize: 20,
+  };
+
+  /**
+   * Visibilities a new list can default to
+   */
+  static VISIBILITIES = List.VISIBILITIES;
+
+  /**
+   * Supported date formats (dates are always sent as ISO 8601; clients format them)
+   */
+  static DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'];
+
+  /**
+   * List item sort orders: a field, descending when prefixed with "-"
+   */
+  static ITEM_SORTS = ['name', '-name', 'points', '-points', 'status', '-status', 'added', '-added'];
+
+  /**
+   * Largest allowed page size
+   */
+  static MAX_PAGE_SIZE = 100;
+
+  /**
+   * Get a user's preferences with defaults filled in
+   * @param {number|undefined} userId - User ID (anonymous visitors get the defaults)
+   * @returns {Object} Preferences object
+   */
+  static get(userId) {
+    const row = userId ? get('SELECT * FROM user_preferences WHERE user_id = ?', [userId]) : undefined;
+
+    return Object.fromEntries(
+      Object.entries(COLUMNS).map(([field, column]) => [field, row?.[column] ?? UserPreferences.DEFAULTS[field]])
+    );
+  }
+
+  /**
+   * Save preferences (only the fields given are changed; null resets a field to its default)
+   * @param {number} userId - User ID
+   * @param {Object} preferences - Validated preference values
+   */
+  static update(userId, preferences) {
+    const fields = Object.keys(COLUMNS).filter((field) => preferences[field] !== undefined);
+
+    if (fields.length === 0) {
+      return;
+    }
+
+    const columns = fields.map((field) => COLUMNS[field]);
+    run(
+      `
+      INSERT INTO user_preferences (user_id, ${columns.join(', ')})
+      VALUES (?, ${columns.map(() => '?').join(', ')})
+      ON CONFLICT(user_id) DO UPDATE SET
+        ${columns.map((column) => `${column} = excluded.${column}`).join(', ')},
+        updated_at = datetime('now')
+    `,
+      [userId, ...fields.map((field) => preferences[field])]
+    );
+  }
+
+  /**
+   * Validate a currency code
+   * @param {string} currency - ISO 4217 code (e.g. "EUR")
+   * @returns {boolean} True if valid
+   */
+  static isValidCurrency(currency) {
+    return typeof currency === 'string' && Intl.supportedValuesOf('currency').includes(currency);
+  }
+
+  /**
+   * Validate a page size
+   * @param {number} pageSize - Results per page
+   * @returns {boolean} True if valid
+   */
+  static isValidPageSize(pageSize) {
+    return Number.isInteger(pageSize) && pageSize >= 1 && pageSize <= UserPreferences.MAX_PAGE_SIZE;
+  }
+}
+
+module.exports = UserPreferences;
@@ -0,0 +1,615 @@
+// routes/admin.js
+const express = require('express');
+
+const router = express.Router();
+const { listBackups, createBackup } = require('../config/backup');
+const SQLiteStore = require('../config/sessionStore');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const TwoFactor = require('../models/TwoFactor');
+const Role = require('../models/Role');
+const UserPreferences = require('../models/UserPreferences');
+const { isAdmin, requirePermission } = require('../middleware/auth');
+
+/**
+ * GET /api/admin/backups
+ * List database snapshots, newest first
+ * Admin only
+ */
+router.get('/backups', isAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listBackups(),
+    });
+  } catch (error) {
+    console.error('List backups error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to list backups',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/backups
+ * Take an online snapshot of the database
+ * Admin only
+ */
+router.post('/backups', isAdmin, async (req, res) => {
+  try {
+    const snapshot = await createBackup();
+
+    res.status(201).json({
+      success: true,
+      data: snapshot,
+    });
+  } catch (error) {
+    console.error('Create backup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create backup',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/lockouts
+ * List accounts locked out after repeated failed logins
+ * Requires the users:read permission
+ */
+router.get('/lockouts', requirePermission('users:read'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: LoginThrottle.getLockedAccounts(),
+    });
+  } catch (error) {
+    console.error('List lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to list locked accounts',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/lockouts/:username
+ * Unlock an account and clear its failed login count
+ * Requires the users:manage permission
+ */
+router.delete('/lockouts/:username', requirePermission('users:manage'), (req, res) => {
+  try {
+    if (!LoginThrottle.reset(LoginThrottle.accountKey(req.params.username))) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'No failed logins recorded for this account',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Account unlocked successfully',
+      },
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to unlock account',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * Look up the target user of an /api/admin/users/:id request, or send a 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|undefined} User object
+ */
+function findTargetUser(req, res) {
+  const user = User.findById(parseInt(req.params.id, 10));
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'User not found',
+        code: 'NOT_FOUND',
+      },
+    });
+  }
+
+  return user;
+}
+
+/**
+ * Send a 409 if the change would leave no enabled admin
+ * @param {Object} user - User being demoted, disabled or deleted
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfLastAdmin(user, res) {
+  if (user.isAdmin && !user.isDisabled && User.countActiveAdmins() <= 1) {
+    res.status(409).json({
+      success: false,
+      error: {
+        message: 'Cannot remove the last active admin',
+        code: 'LAST_ADMIN',
+      },
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Send a 403 if a non-admin tries to change an admin's account
+ * @param {Object} user - Target user
+ * @param {Object} req - Express request (req.access set by the permission check)
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfAdminTarget(user, req, res) {
+  if (user.isAdmin && !req.access.isAdmin) {
+    res.status(403).json({
+      success: false,
+      error: {
+        message: 'Only admins can change admin accounts',
+        code: 'FORBIDDEN',
+      },
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * GET /api/admin/users
+ * List and search users with their list counts
+ * ?search= matches usernames and emails; page with ?limit= (defaults to your pageSize preference,
+ * at most 100) and ?offset=
+ * Requires the users:read permission
+ */
+router.get('/users', requirePermission('users:read'), (req, res) => {
+  try {
+    const { search, limit, offset } = req.query;
+
+    const filters = {
+      search: typeof search === 'string' ? search.trim() || undefined : search,
+      limit: limit !== undefined ? Number(limit) : UserPreferences.get(req.session.userId).pageSize,
+      offset: offset !== undefined ? Number(offset) : 0,
+    };
+
+    if (filters.search !== undefined && typeof filters.search !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'search must be sent once',
+          code: 'VALIDATION_ERROR',
+          field: 'search',
+        },
+      });
+    }
+
+    if (!UserPreferences.isValidPageSize(filters.limit)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `limit must be a whole number from 1 to ${UserPreferences.MAX_PAGE_SIZE}`,
+          code: 'VALIDATION_ERROR',
+          field: 'limit',
+        },
+      });
+    }
+
+    if (!Number.isInteger(filters.offset) || filters.offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'offset must be a whole number of 0 or more',
+          code: 'VALIDATION_ERROR',
+          field: 'offset',
+        },
+      });
+    }
+
+    const result = User.getAll(filters);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to list users',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Get a single user
+ * Requires the users:read permission
+ */
+router.get('/users/:id', requirePermission('users:read'), (req, res) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...user,
+        roles: Role.getUserRoles(user.id),
+      },
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get user',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/admin
+ * Promote or demote an admin ({ isAdmin: true|false })
+ * Admin only
+ */
+router.put('/users/:id/admin', isAdmin, (req, res) => {
+  try {
+    const { isAdmin: makeAdmin } = req.body;
+
+    if (typeof makeAdmin !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'isAdmin must be true or false',
+          code: 'VALIDATION_ERROR',
+          field: 'isAdmin',
+        },
+      });
+    }
+
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (!makeAdmin && rejectIfLastAdmin(user, res)) {
+      return;
+    }
+
+    // Takes effect on the user's next request; permissions are never cached in the session
+    User.setAdmin(user.id, makeAdmin);
+
+    res.json({
+      success: true,
+      data: {
+        message: makeAdmin ? 'User promoted to admin' : 'User demoted from admin',
+      },
+    });
+  } catch (error) {
+    console.error('Update admin flag error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update admin status',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/admin/roles
+ * List roles with the permissions they grant
+ * Admin only
+ */
+router.get('/roles', isAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        roles: Role.getAll(),
+        permissions: Role.PERMISSIONS,
+      },
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to list roles',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/roles
+ * Replace a user's roles ({ roles: ["catalog_editor", ...] }; [] removes them all)
+ * Admin access itself is granted with PUT /api/admin/users/:id/admin
+ * Admin only
+ */
+router.put('/users/:id/roles', isAdmin, (req, res) => {
+  try {
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles) || !roles.every((role) => typeof role === 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'roles must be an array of role names',
+          code: 'VALIDATION_ERROR',
+          field: 'roles',
+        },
+      });
+    }
+
+    const unknown = Role.findUnknown(roles);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Unknown role: ${unknown.join(', ')}`,
+          code: 'VALIDATION_ERROR',
+          field: 'roles',
+        },
+      });
+    }
+
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    // Takes effect on the user's next request
+    Role.setUserRoles(user.id, [...new Set(roles)]);
+
+    res.json({
+      success: true,
+      data: {
+        roles: Role.getUserRoles(user.id),
+      },
+    });
+  } catch (error) {
+    console.error('Update roles error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update roles',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/status
+ * Disable or enable an account ({ disabled: true|false })
+ * Disabled accounts cannot log in and are logged out everywhere
+ * Requires the users:manage permission (only admins can change admin accounts)
+ */
+router.put('/users/:id/status', requirePermission('users:manage'), (req, res) => {
+  try {
+    const { disabled } = req.body;
+
+    if (typeof disabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'disabled must be true or false',
+          code: 'VALIDATION_ERROR',
+          field: 'disabled',
+        },
+      });
+    }
+
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (rejectIfAdminTarget(user, req, res)) {
+      return;
+    }
+
+    if (disabled && user.id === req.session.userId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'You cannot disable your own account',
+          code: 'VALIDATION_ERROR',
+        },
+      });
+    }
+
+    if (disabled && rejectIfLastAdmin(user, res)) {
+      return;
+    }
+
+    User.setDisabled(user.id, disabled);
+    if (disabled) {
+      SQLiteStore.destroyUserSessions(user.id);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: disabled ? 'Account disabled' : 'Account enabled',
+      },
+    });
+  } catch (error) {
+    console.error('Update account status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update account status',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/force-password-reset
+ * Log the user out everywhere and require a new password at next login
+ * Requires the users:manage permission (only admins can change admin accounts)
+ */
+router.post('/users/:id/force-password-reset', requirePermission('users:manage'), (req, res) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (rejectIfAdminTarget(user, req, res)) {
+      return;
+    }
+
+    User.requirePasswordChange(user.id);
+    SQLiteStore.destroyUserSessions(user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'User must change their password at next login',
+      },
+    });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to force password reset',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/2fa
+ * Turn off two-factor authentication for a user who lost their device and recovery codes
+ * Admin only
+ */
+router.delete('/users/:id/2fa', isAdmin, (req, res) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    TwoFactor.disable(user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Two-factor authentication disabled for this user',
+      },
+    });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to disable two-factor authentication',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id
+ * Delete a user and everything they own
+ * Requires { confirm: "<username>" } in the body
+ * Admin only
+ */
+router.delete('/users/:id', isAdmin, (req, res) => {
+  try {
+    const user = findTargetUser(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (user.id === req.session.userId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'You cannot delete your own account here',
+          code: 'VALIDATION_ERROR',
+        },
+      });
+    }
+
+    if (!req.body || req.body.confirm !== user.username) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `This permanently deletes ${user.username} and all of their lists. Send { "confirm": "${user.username}" } to continue.`,
+          code: 'CONFIRMATION_REQUIRED',
+          field: 'confirm',
+        },
+      });
+    }
+
+    if (rejectIfLastAdmin(user, res)) {
+      return;
+    }
+
+    // Lists, items, metadata and tokens go with the user via ON DELETE CASCADE
+    User.delete(user.id);
+    SQLiteStore.destroyUserSessions(user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'User deleted successfully',
+      },
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete user',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,15 @@ const express = require('express');
 
 const router = express.Router();
 const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const EmailVerification = require('../models/EmailVerification');
+const TwoFactor = require('../models/TwoFactor');
+const Role = require('../models/Role');
+const SQLiteStore = require('../config/sessionStore');
+const { sendMail, appUrl } = require('../config/mailer');
+const { isAuthenticated } = require('../middleware/auth');
+const { getCsrfToken } = require('../middleware/csrf');
 
 router.post('/register', async (req, res) => {
   try {
@@ -56,9 +65,19 @@ router.post('/register', async (req, res) => {
     // Create user
     const user = await User.create({ username, email, password });
 
+    // The account works straight away; a failed email can be resent later
+    try {
+      await EmailVerification.send(user, email);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
     res.status(201).json({
       success: true,
-      data: { message: 'User registered successfully', userId: user.id },
+      data: {
+        message: 'User registered successfully. Check your email to verify your address.',
+        userId: user.id,
+      },
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -69,38 +88,127 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * Send the 429 for a blocked login attempt
+ * @param {Object} res - Express response
+ * @param {Object} throttle - Result of LoginThrottle.check()
+ */
+function sendThrottled(res, throttle) {
+  res.set('Retry-After', String(throttle.retryAfter));
+
+  if (throttle.locked) {
+    return res.status(429).json({
+      success: false,
+      error: {
+        message: 'Account temporarily locked after too many failed attempts. Try again later.',
+        code: 'ACCOUNT_LOCKED',
+        retryAfter: throttle.retryAfter,
+      },
+    });
+  }
+
+  return res.status(429).json({
+    success: false,
+    error: {
+      message: 'Too many failed login attempts. Try again later.',
+      code: 'TOO_MANY_ATTEMPTS',
+      retryAfter: throttle.retryAfter,
+    },
+  });
+}
+
+/**
+ * Check a TOTP code or recovery code for the second login step
+ * @param {number} userId - User ID
+ * @param {Object} body - Request body with code or recoveryCode
+ * @returns {boolean} True if the second factor is valid
+ */
+function verifySecondFactor(userId, body) {
+  if (body.recoveryCode) {
+    return TwoFactor.useRecoveryCode(userId, body.recoveryCode);
+  }
+  return Boolean(body.code) && TwoFactor.verifyCode(userId, body.code);
+}
+
 // POST /api/auth/login
+// Send { username, password }. When two-factor authentication is on, the reply is
+// { twoFactorRequired: true } and a second request sends { code } or { recoveryCode }
+// (or send all of them at once).
 router.post('/login', async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const pending = req.session.twoFactorPending;
+    const isSecondStep = !req.body.password && pending && pending.expiresAt > Date.now();
+    const username = isSecondStep ? pending.username : req.body.username;
+    const { password } = req.body;
 
-    if (!username || !password) {
+    if (!username || (!password && !isSecondStep)) {
       return res.status(400).json({
         success: false,
         error: { message: 'Username and password are required' },
       });
     }
 
+    // Throttle by client IP and by account
+    const throttleKeys = [LoginThrottle.ipKey(req.ip), LoginThrottle.accountKey(username)];
+    const throttle = LoginThrottle.check(throttleKeys);
+    if (throttle.blocked) {
+      return sendThrottled(res, throttle);
+    }
+
     const user = User.findByUsername(username);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: { message: 'Invalid username or password', code: 'INVALID_CREDENTIALS' },
-      });
+
+    if (!isSecondStep) {
+      const isValidPassword = user ? await User.verifyPassword(password, user.password_hash) : false;
+
+      if (!isValidPassword) {
+        // Count unknown usernames too, so lockouts don't reveal which accounts exist
+        throttleKeys.forEach((key) => LoginThrottle.recordFailure(key));
+
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Invalid username or password', code: 'INVALID_CREDENTIALS' },
+        });
+      }
     }
 
-    const isValidPassword = await User.verifyPassword(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({
+    if (!user || user.is_disabled) {
+      delete req.session.twoFactorPending;
+      return res.status(403).json({
         success: false,
-        error: { message: 'Invalid username or password', code: 'INVALID_CREDENTIALS' },
+        error: { message: 'This account has been disabled. Contact an administrator.', code: 'ACCOUNT_DISABLED' },
       });
     }
 
+    if (TwoFactor.isEnabled(user.id)) {
+      if (!req.body.code && !req.body.recoveryCode) {
+        req.session.twoFactorPending = { username: user.username, expiresAt: Date.now() + TwoFactor.LOGIN_TIMEOUT };
+
+        return res.json({
+          success: true,
+          data: { twoFactorRequired: true },
+        });
+      }
+
+      if (!verifySecondFactor(user.id, req.body)) {
+        throttleKeys.forEach((key) => LoginThrottle.recordFailure(key));
+
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Invalid two-factor code', code: 'INVALID_TWO_FACTOR_CODE' },
+        });
+      }
+    }
+
+    // Only the account's failures are cleared: otherwise logging into any account of your
+    // own between guesses would reset the IP's back-off, so it runs out its window instead
+    LoginThrottle.reset(LoginThrottle.accountKey(username));
+    delete req.session.twoFactorPending;
+
     // Create session
     req.session.userId = user.id;
     req.session.username = user.username;
-    req.session.isAdmin = Boolean(user.is_admin);
+    req.session.mustChangePassword = Boolean(user.must_change_password);
+    req.session.client = SQLiteStore.describeClient(req);
 
     res.json({
       success: true,
@@ -109,7 +217,9 @@ router.post('/login', async (req, res) => {
           id: user.id,
           username: user.username,
           email: user.email,
+          emailVerified: Boolean(user.email_verified),
           isAdmin: Boolean(user.is_admin),
+          mustChangePassword: Boolean(user.must_change_password),
         },
       },
     });
@@ -124,6 +234,14 @@ router.post('/login', async (req, res) => {
 
 // POST /api/auth/logout
 router.post('/logout', (req, res) => {
+  // Token requests have no session to end
+  if (req.session.apiTokenId) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'API tokens cannot log out. Revoke the token instead.', code: 'SESSION_REQUIRED' },
+    });
+  }
+
   req.session.destroy((err) => {
     if (err) {
       return res.status(500).json({
@@ -140,16 +258,33 @@ router.post('/logout', (req, res) => {
   });
 });
 
+// GET /api/auth/csrf-token
+// Token to send as an X-CSRF-Token header with every POST/PUT/DELETE from a browser session
+router.get('/csrf-token', (req, res) => {
+  res.json({
+    success: true,
+    data: { csrfToken: getCsrfToken(req) },
+  });
+});
+
 // GET /api/auth/check
 router.get('/check', (req, res) => {
   if (req.session && req.session.userId) {
     const user = User.findById(req.session.userId);
     if (user) {
+      const { roles, permissions } = Role.getAccess(user.id) || { roles: [], permissions: [] };
       return res.json({
         success: true,
         data: {
           authenticated: true,
-          user: { id: user.id, username: user.username, isAdmin: user.isAdmin },
+          user: {
+            id: user.id,
+            username: user.username,
+            isAdmin: user.isAdmin,
+            emailVerified: user.emailVerified,
+            roles,
+            permissions,
+          },
         },
       });
     }
@@ -161,4 +296,187 @@ router.get('/check', (req, res) => {
   });
 });
 
+// POST /api/auth/forgot-password
+// Always answers the same way so the endpoint can't be used to discover registered emails
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Email is required', code: 'VALIDATION_ERROR', field: 'email' },
+      });
+    }
+
+    const user = User.findByEmail(email.trim());
+
+    if (user && !user.is_disabled && !PasswordResetToken.recentlyIssued(user.id)) {
+      const { token } = PasswordResetToken.create(user.id);
+      const link = appUrl('/reset-password', { token });
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your MiniTrackingSystem password',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          'Someone asked to reset the password for your account. Open this link to choose a new one:',
+          '',
+          link,
+          '',
+          'The link expires in 1 hour and can only be used once.',
+          "If you didn't ask for this, you can ignore this email.",
+        ].join('\n'),
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'If that email is registered, a password reset link has been sent.' },
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to send password reset email', code: 'INTERNAL_ERROR' },
+    });
+  }
+});
+
+// POST /api/auth/reset-password
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    if (!token || !password || !confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Token, password and confirmPassword are required', code: 'VALIDATION_ERROR' },
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Password must be at least 8 characters.', code: 'VALIDATION_ERROR', field: 'password' },
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Passwords do not match', code: 'VALIDATION_ERROR', field: 'confirmPassword' },
+      });
+    }
+
+    const userId = PasswordResetToken.consume(token);
+    const user = userId ? User.findById(userId) : undefined;
+
+    if (!user || user.isDisabled) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'This reset link is invalid or has expired', code: 'INVALID_TOKEN' },
+      });
+    }
+
+    await User.updatePassword(user.id, password);
+
+    // Whoever knew the old password is logged out, and the owner can log in straight away
+    SQLiteStore.destroyUserSessions(user.id);
+    LoginThrottle.reset(LoginThrottle.accountKey(user.username));
+
+    res.json({
+      success: true,
+      data: { message: 'Password has been reset. You can now log in.' },
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to reset password', code: 'INTERNAL_ERROR' },
+    });
+  }
+});
+
+// GET /api/auth/verify-email?token=...
+// Target of the link in verification emails
+router.get('/verify-email', (req, res) => {
+  try {
+    const verification = req.query.token ? EmailVerification.verifyToken(req.query.token) : null;
+
+    if (!verification) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'This verification link is invalid or has expired', code: 'INVALID_TOKEN' },
+      });
+    }
+
+    // A pending address may have been registered by someone else since the link was sent
+    const owner = User.findByEmail(verification.email);
+    if (owner && owner.id !== verification.userId) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'This email address is already in use', code: 'DUPLICATE_ENTRY', field: 'email' },
+      });
+    }
+
+    if (!User.verifyEmail(verification.userId, verification.email)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'This email address is no longer awaiting verification', code: 'INVALID_TOKEN' },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'Email address verified', email: verification.email },
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to verify email', code: 'INTERNAL_ERROR' },
+    });
+  }
+});
+
+// POST /api/auth/resend-verification
+// Resend the link for the pending (or still unverified) address, at most once a minute
+router.post('/resend-verification', isAuthenticated, async (req, res) => {
+  try {
+    const user = User.findById(req.session.userId);
+    const email = user.pendingEmail || (user.emailVerified ? null : user.email);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Your email address is already verified', code: 'ALREADY_VERIFIED' },
+      });
+    }
+
+    const retryAfter = EmailVerification.retryAfter(user.id);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: { message: 'Please wait before requesting another email', code: 'TOO_MANY_REQUESTS', retryAfter },
+      });
+    }
+
+    await EmailVerification.send(user, email);
+
+    res.json({
+      success: true,
+      data: { message: `Verification email sent to ${email}` },
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to send verification email', code: 'INTERNAL_ERROR' },
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,290 @@
+// routes/collaborators.js
+const express = require('express');
+
+const router = express.Router();
+const List = require('../models/List');
+const ListCollaborator = require('../models/ListCollaborator');
+const User = require('../models/User');
+const { sendMail, appUrl } = require('../config/mailer');
+const { isAuthenticated } = require('../middleware/auth');
+
+/**
+ * Look up the list of a /api/lists/:id/collaborators request and the user's role on it
+ * Sends a 404 if the list doesn't exist or the user can't see it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|undefined} Object with listId and role ('owner', 'editor' or 'viewer')
+ */
+function findList(req, res) {
+  const listId = parseInt(req.params.id, 10);
+  const role = List.getUserRole(listId, req.session.userId);
+
+  if (!role) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'List not found',
+        code: 'NOT_FOUND',
+      },
+    });
+    return undefined;
+  }
+
+  return { listId, role };
+}
+
+/**
+ * Send a 403 unless the user owns the list
+ * @param {string} role - User's role on the list
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfNotOwner(role, res) {
+  if (role === 'owner') {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: {
+      message: 'Only the list owner can manage collaborators',
+      code: 'FORBIDDEN',
+    },
+  });
+  return true;
+}
+
+/**
+ * Send a 400 if the role isn't a collaborator role
+ * @param {string} role - Requested role
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfInvalidRole(role, res) {
+  if (ListCollaborator.isValidRole(role)) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: `role must be one of: ${ListCollaborator.ROLES.join(', ')}`,
+      code: 'VALIDATION_ERROR',
+      field: 'role',
+    },
+  });
+  return true;
+}
+
+/**
+ * GET /api/lists/:id/collaborators
+ * List the users a list is shared with
+ * Requires authentication as the owner or a collaborator
+ */
+router.get('/:id/collaborators', isAuthenticated, (req, res) => {
+  try {
+    const list = findList(req, res);
+    if (!list) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: ListCollaborator.getAllByList(list.listId),
+    });
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get collaborators',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/lists/:id/collaborators
+ * Share a list with a user ({ username, role: "viewer"|"editor" }; role defaults to viewer)
+ * Requires authentication and ownership
+ */
+router.post('/:id/collaborators', isAuthenticated, async (req, res) => {
+  try {
+    const { username, role = 'viewer' } = req.body;
+
+    const list = findList(req, res);
+    if (!list || rejectIfNotOwner(list.role, res) || rejectIfInvalidRole(role, res)) {
+      return;
+    }
+
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Username is required',
+          code: 'VALIDATION_ERROR',
+          field: 'username',
+        },
+      });
+    }
+
+    const invitee = User.findByUsername(username.trim());
+    if (!invitee || invitee.is_disabled) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+          code: 'NOT_FOUND',
+          field: 'username',
+        },
+      });
+    }
+
+    if (invitee.id === req.session.userId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'You already own this list',
+          code: 'VALIDATION_ERROR',
+          field: 'username',
+        },
+      });
+    }
+
+    if (List.getUserRole(list.listId, invitee.id)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `This list is already shared with ${invitee.username}`,
+          code: 'DUPLICATE_ENTRY',
+          field: 'username',
+        },
+      });
+    }
+
+    ListCollaborator.create({ listId: list.listId, userId: invitee.id, role, invitedBy: req.session.userId });
+
+    const { list: details } = List.findById(list.listId);
+    try {
+      await sendMail({
+        to: invitee.email,
+        subject: `${req.session.username} shared "${details.name}" with you`,
+        text: [
+          `Hi ${invitee.username},`,
+          '',
+          `${req.session.username} added you to their list "${details.name}" as ${role === 'editor' ? 'an editor' : 'a viewer'}.`,
+          '',
+          appUrl(`/lists/${list.listId}`),
+        ].join('\n'),
+      });
+    } catch (mailError) {
+      console.error('Collaborator invite email error:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: ListCollaborator.getAllByList(list.listId).find((collaborator) => collaborator.userId === invitee.id),
+    });
+  } catch (error) {
+    console.error('Add collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to add collaborator',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/lists/:id/collaborators/:username
+ * Change a collaborator's role ({ role: "viewer"|"editor" })
+ * Requires authentication and ownership
+ */
+router.put('/:id/collaborators/:username', isAuthenticated, (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const list = findList(req, res);
+    if (!list || rejectIfNotOwner(list.role, res) || rejectIfInvalidRole(role, res)) {
+      return;
+    }
+
+    const collaborator = User.findByUsername(req.params.username);
+    if (!collaborator || !ListCollaborator.updateRole(list.listId, collaborator.id, role)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Collaborator not found',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: `${collaborator.username} is now ${role === 'editor' ? 'an editor' : 'a viewer'}`,
+      },
+    });
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update collaborator',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/lists/:id/collaborators/:username
+ * Stop sharing a list with a user (collaborators can also remove themselves)
+ * Requires authentication as the owner or that collaborator
+ */
+router.delete('/:id/collaborators/:username', isAuthenticated, (req, res) => {
+  try {
+    const list = findList(req, res);
+    if (!list) {
+      return;
+    }
+
+    const leaving = req.params.username === req.session.username;
+    if (!leaving && rejectIfNotOwner(list.role, res)) {
+      return;
+    }
+
+    const collaborator = User.findByUsername(req.params.username);
+    if (!collaborator || !ListCollaborator.delete(list.listId, collaborator.id)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Collaborator not found',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: leaving ? 'You have left the list' : `${collaborator.username} removed from the list`,
+      },
+    });
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to remove collaborator',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+module.exports = router;
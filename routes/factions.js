@@ -3,7 +3,7 @@ const express = require('express');
 
 const router = express.Router();
 const Faction = require('../models/Faction');
-const { isAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * GET /api/factions
@@ -68,9 +68,9 @@ router.get('/:id', (req, res) => {
 /**
  * POST /api/factions
  * Create new faction
- * Admin only
+ * Requires the catalog:write permission
  */
-router.post('/', isAdmin, (req, res) => {
+router.post('/', requirePermission('catalog:write'), (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -119,9 +119,9 @@ router.post('/', isAdmin, (req, res) => {
 /**
  * PUT /api/factions/:id
  * Update faction
- * Admin only
+ * Requires the catalog:write permission
  */
-router.put('/:id', isAdmin, (req, res) => {
+router.put('/:id', requirePermission('catalog:write'), (req, res) => {
   try {
     const { name, description } = req.body;
     const factionId = req.params.id;
@@ -188,9 +188,9 @@ router.put('/:id', isAdmin, (req, res) => {
 /**
  * DELETE /api/factions/:id
  * Delete faction
- * Admin only
+ * Requires the catalog:write permission
  */
-router.delete('/:id', isAdmin, (req, res) => {
+router.delete('/:id', requirePermission('catalog:write'), (req, res) => {
   try {
     const factionId = req.params.id;
 
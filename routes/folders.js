@@ -0,0 +1,293 @@
+// routes/folders.js
+const express = require('express');
+
+const router = express.Router();
+const List = require('../models/List');
+const ListFolder = require('../models/ListFolder');
+const { isAuthenticated } = require('../middleware/auth');
+
+/**
+ * Send a 404 unless the folder exists and belongs to the user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|undefined} Folder
+ */
+function findFolder(req, res) {
+  const folder = ListFolder.findById(parseInt(req.params.id, 10), req.session.userId);
+
+  if (!folder) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Folder not found',
+        code: 'NOT_FOUND',
+      },
+    });
+  }
+
+  return folder;
+}
+
+/**
+ * Send a 400 if a folder name is missing or too long
+ * @param {string} name - Requested name
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfInvalidName(name, res) {
+  let message;
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    message = 'Folder name is required';
+  } else if (name.trim().length > 100) {
+    message = 'Folder name must be 100 characters or less';
+  } else {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message,
+      code: 'VALIDATION_ERROR',
+      field: 'name',
+    },
+  });
+  return true;
+}
+
+/**
+ * Send a 400 unless the parent folder is null or one of the user's folders
+ * @param {number|null} parentId - Requested parent folder ID
+ * @param {number} userId - User ID
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfInvalidParent(parentId, userId, res) {
+  if (parentId === null || (Number.isInteger(parentId) && ListFolder.findById(parentId, userId))) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Parent folder not found',
+      code: 'VALIDATION_ERROR',
+      field: 'parentId',
+    },
+  });
+  return true;
+}
+
+/**
+ * Send a 409 if the parent folder already has a folder with this name
+ * @param {number} userId - User ID
+ * @param {string} name - Folder name
+ * @param {number|null} parentId - Parent folder ID
+ * @param {number|null} excludeId - Folder being renamed or moved (null when creating one)
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfNameTaken(userId, name, parentId, excludeId, res) {
+  if (!ListFolder.nameExists(userId, name, parentId, excludeId)) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: {
+      message: `A folder named "${name}" already exists there`,
+      code: 'DUPLICATE_ENTRY',
+      field: 'name',
+    },
+  });
+  return true;
+}
+
+/**
+ * GET /api/folders
+ * Get all your folders (nest them using parentId; top-level folders have parentId null)
+ * Requires authentication
+ */
+router.get('/', isAuthenticated, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: ListFolder.getAllByUser(req.session.userId),
+    });
+  } catch (error) {
+    console.error('Get folders error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get folders',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/folders/:id
+ * Get a folder with its subfolders, its lists and statistics covering every list nested inside it
+ * Requires authentication and ownership
+ */
+router.get('/:id', isAuthenticated, (req, res) => {
+  try {
+    const folder = findFolder(req, res);
+    if (!folder) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        folder,
+        folders: ListFolder.getAllByUser(req.session.userId).filter((child) => child.parentId === folder.id),
+        lists: List.getAllByUser(req.session.userId, { folderId: folder.id }),
+        statistics: ListFolder.getStatistics(folder.id),
+      },
+    });
+  } catch (error) {
+    console.error('Get folder error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get folder',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/folders
+ * Create a folder ({ name, parentId }; parentId defaults to null for a top-level folder)
+ * Requires authentication
+ */
+router.post('/', isAuthenticated, (req, res) => {
+  try {
+    const { name, parentId = null } = req.body;
+
+    if (rejectIfInvalidName(name, res) || rejectIfInvalidParent(parentId, req.session.userId, res)) {
+      return;
+    }
+
+    if (rejectIfNameTaken(req.session.userId, name.trim(), parentId, null, res)) {
+      return;
+    }
+
+    const folder = ListFolder.create({
+      userId: req.session.userId,
+      name: name.trim(),
+      parentId,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: folder,
+    });
+  } catch (error) {
+    console.error('Create folder error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create folder',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/folders/:id
+ * Rename a folder or move it into another folder ({ name, parentId }; parentId null moves it to the top level)
+ * Requires authentication and ownership
+ */
+router.put('/:id', isAuthenticated, (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+
+    const folder = findFolder(req, res);
+    if (!folder) {
+      return;
+    }
+
+    if (name !== undefined && rejectIfInvalidName(name, res)) {
+      return;
+    }
+
+    if (parentId !== undefined && rejectIfInvalidParent(parentId, req.session.userId, res)) {
+      return;
+    }
+
+    if (parentId && ListFolder.isWithin(parentId, folder.id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A folder cannot be moved into itself or one of its subfolders',
+          code: 'VALIDATION_ERROR',
+          field: 'parentId',
+        },
+      });
+    }
+
+    const newName = name === undefined ? folder.name : name.trim();
+    const newParentId = parentId === undefined ? folder.parentId : parentId;
+    if (rejectIfNameTaken(req.session.userId, newName, newParentId, folder.id, res)) {
+      return;
+    }
+
+    ListFolder.update(folder.id, {
+      name: name === undefined ? undefined : newName,
+      parentId,
+    });
+
+    res.json({
+      success: true,
+      data: ListFolder.findById(folder.id, req.session.userId),
+    });
+  } catch (error) {
+    console.error('Update folder error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update folder',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/folders/:id
+ * Delete a folder; its lists and subfolders move up into its parent folder
+ * Requires authentication and ownership
+ */
+router.delete('/:id', isAuthenticated, (req, res) => {
+  try {
+    const folder = findFolder(req, res);
+    if (!folder) {
+      return;
+    }
+
+    ListFolder.delete(folder.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Folder deleted successfully',
+      },
+    });
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete folder',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -9,7 +9,7 @@ const { isAuthenticated } = require('../middleware/auth');
 /**
  * PUT /api/list-items/:id
  * Update list item
- * Requires authentication and ownership
+ * Requires authentication as the list owner or an editor
  */
 router.put('/:id', isAuthenticated, (req, res) => {
   try {
@@ -29,8 +29,8 @@ router.put('/:id', isAuthenticated, (req, res) => {
       });
     }
 
-    // Check if user owns the list
-    if (!List.isOwnedBy(listId, req.session.userId)) {
+    // Check if user can edit the list
+    if (!List.canEdit(listId, req.session.userId)) {
       return res.status(403).json({
         success: false,
         error: {
@@ -102,7 +102,7 @@ router.put('/:id', isAuthenticated, (req, res) => {
 /**
  * DELETE /api/list-items/:id
  * Remove item from list
- * Requires authentication and ownership
+ * Requires authentication as the list owner or an editor
  */
 router.delete('/:id', isAuthenticated, (req, res) => {
   try {
@@ -121,8 +121,8 @@ router.delete('/:id', isAuthenticated, (req, res) => {
       });
     }
 
-    // Check if user owns the list
-    if (!List.isOwnedBy(listId, req.session.userId)) {
+    // Check if user can edit the list
+    if (!List.canEdit(listId, req.session.userId)) {
       return res.status(403).json({
         success: false,
         error: {
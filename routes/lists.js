@@ -4,30 +4,176 @@ const express = require('express');
 const router = express.Router();
 const List = require('../models/List');
 const ListItem = require('../models/ListItem');
+const User = require('../models/User');
+const UserPreferences = require('../models/UserPreferences');
+const ListCollaborator = require('../models/ListCollaborator');
+const ListFolder = require('../models/ListFolder');
 const { isAuthenticated, optionalAuth } = require('../middleware/auth');
 
+// Only users with a verified email may make lists public
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL_FOR_PUBLIC_LISTS === 'true';
+
+/**
+ * Send a 403 if the user may not publish lists yet
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfUnverified(req, res) {
+  if (!REQUIRE_VERIFIED_EMAIL || User.findById(req.session.userId)?.emailVerified) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: {
+      message: 'Verify your email address before making lists public',
+      code: 'EMAIL_NOT_VERIFIED',
+      field: 'visibility',
+    },
+  });
+  return true;
+}
+
+/**
+ * Read the requested visibility, accepting the older isPublic flag too
+ * @param {Object} body - Request body
+ * @returns {string|undefined} Requested visibility, or undefined if neither field was sent
+ */
+function requestedVisibility(body) {
+  if (body.visibility !== undefined) {
+    return body.visibility;
+  }
+  if (body.isPublic !== undefined) {
+    return body.isPublic ? 'public' : 'private';
+  }
+  return undefined;
+}
+
+/**
+ * Send a 400 if the visibility isn't valid
+ * @param {string} visibility - Requested visibility
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfInvalidVisibility(visibility, res) {
+  if (List.VISIBILITIES.includes(visibility)) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: `visibility must be one of: ${List.VISIBILITIES.join(', ')}`,
+      code: 'VALIDATION_ERROR',
+      field: 'visibility',
+    },
+  });
+  return true;
+}
+
+/**
+ * Send a 400 unless the folder is null or one of the user's folders
+ * @param {number|null} folderId - Requested folder ID
+ * @param {number} userId - User ID
+ * @param {Object} res - Express response
+ * @returns {boolean} True if the response was sent
+ */
+function rejectIfInvalidFolder(folderId, userId, res) {
+  if (folderId === null || (Number.isInteger(folderId) && ListFolder.findById(folderId, userId))) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: {
+      message: 'Folder not found',
+      code: 'VALIDATION_ERROR',
+      field: 'folderId',
+    },
+  });
+  return true;
+}
+
+/**
+ * Cut one page out of a user's lists
+ * @param {Array} lists - All of the lists
+ * @param {number} limit - Lists per page
+ * @param {number} offset - Lists to skip
+ * @returns {Object} Object with lists, total, limit, offset and hasMore, like List.getAllPublic
+ */
+function pageOf(lists, limit, offset) {
+  return {
+    lists: lists.slice(offset, offset + limit),
+    total: lists.length,
+    limit,
+    offset,
+    hasMore: offset + limit < lists.length,
+  };
+}
+
 /**
  * GET /api/lists
- * Get lists (user's own lists if authenticated, or public lists)
+ * Get a page of lists (user's own lists if authenticated, or public lists)
+ * ?shared=true returns the lists other users have shared with you instead
+ * ?folder=<id> returns only your lists directly in that folder (?folder=none for lists in no folder)
+ * Page with ?page= (from 1) and ?limit= (defaults to the pageSize preference, at most 100)
  * Public endpoint with optional auth
  */
 router.get('/', optionalAuth, (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+    const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+    const limit =
+      req.query.limit !== undefined ? Number(req.query.limit) : UserPreferences.get(req.session?.userId).pageSize;
+
+    if (!Number.isInteger(page) || page < 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'page must be a whole number of 1 or more',
+          code: 'VALIDATION_ERROR',
+          field: 'page',
+        },
+      });
+    }
 
-    // If authenticated, return user's own lists
+    if (!UserPreferences.isValidPageSize(limit)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `limit must be a whole number from 1 to ${UserPreferences.MAX_PAGE_SIZE}`,
+          code: 'VALIDATION_ERROR',
+          field: 'limit',
+        },
+      });
+    }
+
+    const offset = (page - 1) * limit;
+
+    // If authenticated, return user's own lists (or those shared with them)
     if (req.session && req.session.userId) {
-      const lists = List.getAllByUser(req.session.userId);
+      let folderId;
+      if (req.query.folder !== undefined) {
+        folderId = req.query.folder === 'none' ? null : Number(req.query.folder);
+
+        if (rejectIfInvalidFolder(folderId, req.session.userId, res)) {
+          return;
+        }
+      }
+
+      const lists =
+        req.query.shared === 'true'
+          ? ListCollaborator.getListsSharedWith(req.session.userId)
+          : List.getAllByUser(req.session.userId, { folderId });
 
       return res.json({
         success: true,
-        data: lists,
+        data: pageOf(lists, limit, offset),
       });
     }
 
     // Otherwise, return public lists
-    const result = List.getAllPublic(parseInt(limit, 10), offset);
+    const result = List.getAllPublic(limit, offset);
 
     res.json({
       success: true,
@@ -47,13 +193,27 @@ router.get('/', optionalAuth, (req, res) => {
 
 /**
  * GET /api/lists/:id
- * Get single list with all items and statistics
- * Public for public lists, requires auth for private lists
+ * Get single list with all items, statistics and your role on it (owner, editor, viewer or null)
+ * Items are ordered by ?sort= (e.g. name, -points, status, -added), else the viewer's itemSort preference
+ * Public for public lists, requires auth as the owner or a collaborator for private lists
  */
 router.get('/:id', optionalAuth, (req, res) => {
   try {
     const listId = req.params.id;
-    const result = List.findById(listId);
+    const { sort = UserPreferences.get(req.session?.userId).itemSort } = req.query;
+
+    if (!UserPreferences.ITEM_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `sort must be one of: ${UserPreferences.ITEM_SORTS.join(', ')}`,
+          code: 'VALIDATION_ERROR',
+          field: 'sort',
+        },
+      });
+    }
+
+    const result = List.findById(listId, { sort });
 
     if (!result) {
       return res.status(404).json({
@@ -65,11 +225,12 @@ router.get('/:id', optionalAuth, (req, res) => {
       });
     }
 
-    // Check if user has permission to view this list
-    const isOwner = req.session && req.session.userId === result.list.userId;
+    // Check if user has permission to view this list (owner, collaborator or public)
+    // Unlisted lists are only reachable through GET /api/shared/:token
+    const role = List.getUserRole(result.list.id, req.session?.userId);
     const isPublic = result.list.isPublic;
 
-    if (!isPublic && !isOwner) {
+    if (!isPublic && !role) {
       return res.status(403).json({
         success: false,
         error: {
@@ -79,9 +240,17 @@ router.get('/:id', optionalAuth, (req, res) => {
       });
     }
 
+    // Only the owner sees the share link
+    if (role === 'owner') {
+      result.list.shareToken = List.getShareToken(result.list.id);
+    }
+
     res.json({
       success: true,
-      data: result,
+      data: {
+        ...result,
+        role: role || null,
+      },
     });
   } catch (error) {
     console.error('Get list error:', error);
@@ -98,11 +267,15 @@ router.get('/:id', optionalAuth, (req, res) => {
 /**
  * POST /api/lists
  * Create new list
+ * visibility (private, unlisted or public; or the older isPublic flag) defaults to the user's
+ * defaultListVisibility preference. Unlisted lists get a share token for GET /api/shared/:token.
+ * folderId puts the list in one of your folders (defaults to none)
  * Requires authentication
  */
 router.post('/', isAuthenticated, (req, res) => {
   try {
-    const { name, description, isPublic } = req.body;
+    const { name, description, folderId = null } = req.body;
+    const visibility = requestedVisibility(req.body) ?? UserPreferences.get(req.session.userId).defaultListVisibility;
 
     // Validation
     if (!name || name.trim().length === 0) {
@@ -127,11 +300,24 @@ router.post('/', isAuthenticated, (req, res) => {
       });
     }
 
+    if (rejectIfInvalidVisibility(visibility, res)) {
+      return;
+    }
+
+    if (visibility === 'public' && rejectIfUnverified(req, res)) {
+      return;
+    }
+
+    if (rejectIfInvalidFolder(folderId, req.session.userId, res)) {
+      return;
+    }
+
     const list = List.create({
       userId: req.session.userId,
       name: name.trim(),
       description: description?.trim() || null,
-      isPublic: Boolean(isPublic),
+      visibility,
+      folderId,
     });
 
     res.status(201).json({
@@ -153,13 +339,14 @@ router.post('/', isAuthenticated, (req, res) => {
 
 /**
  * PUT /api/lists/:id
- * Update list
+ * Update list (folderId moves it into one of your folders, or out of any folder with null)
  * Requires authentication and ownership
  */
 router.put('/:id', isAuthenticated, (req, res) => {
   try {
     const listId = req.params.id;
-    const { name, description, isPublic } = req.body;
+    const { name, description, folderId } = req.body;
+    const visibility = requestedVisibility(req.body);
 
     // Check if list exists
     const result = List.findById(listId);
@@ -209,11 +396,28 @@ router.put('/:id', isAuthenticated, (req, res) => {
       }
     }
 
+    if (visibility !== undefined && rejectIfInvalidVisibility(visibility, res)) {
+      return;
+    }
+
+    if (visibility === 'public' && rejectIfUnverified(req, res)) {
+      return;
+    }
+
+    if (folderId !== undefined && rejectIfInvalidFolder(folderId, req.session.userId, res)) {
+      return;
+    }
+
     // Update the list
     const updateData = {};
     if (name !== undefined) updateData.name = name.trim();
     if (description !== undefined) updateData.description = description.trim() || null;
-    if (isPublic !== undefined) updateData.isPublic = Boolean(isPublic);
+    if (visibility !== undefined) {
+      updateData.visibility = visibility;
+    }
+    if (folderId !== undefined) {
+      updateData.folderId = folderId;
+    }
 
     List.update(listId, updateData);
 
@@ -288,10 +492,402 @@ router.delete('/:id', isAuthenticated, (req, res) => {
   }
 });
 
+/**
+ * POST /api/lists/:id/clone
+ * Copy a list you can see (yours, shared with you or public) and its items into a new list of your own
+ * Body: name (defaults to "<source name> (copy)"), description, visibility (defaults to your
+ * defaultListVisibility preference), folderId (one of your folders), resetStatus (start every item
+ * Not Started / Unpainted) and includeMetadata (copy paint colors, cost, storage location and other
+ * item metadata; defaults to true for your own lists and false for anyone else's)
+ * Requires authentication
+ */
+router.post('/:id/clone', isAuthenticated, (req, res) => {
+  try {
+    const listId = parseInt(req.params.id, 10);
+    const { name, description, folderId = null, resetStatus = false } = req.body;
+    const visibility = requestedVisibility(req.body) ?? UserPreferences.get(req.session.userId).defaultListVisibility;
+
+    // Another user's costs and storage locations are private unless they're asked for
+    const { includeMetadata = List.isOwnedBy(listId, req.session.userId) } = req.body;
+
+    const source = List.findById(listId);
+    if (!source || !List.canView(listId, req.session.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'List not found',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'List name cannot be empty',
+          code: 'VALIDATION_ERROR',
+          field: 'name',
+        },
+      });
+    }
+
+    if (name !== undefined && name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'List name must be 100 characters or less',
+          code: 'VALIDATION_ERROR',
+          field: 'name',
+        },
+      });
+    }
+
+    if (typeof resetStatus !== 'boolean' || typeof includeMetadata !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'resetStatus and includeMetadata must be true or false',
+          code: 'VALIDATION_ERROR',
+          field: typeof resetStatus !== 'boolean' ? 'resetStatus' : 'includeMetadata',
+        },
+      });
+    }
+
+    if (rejectIfInvalidVisibility(visibility, res)) {
+      return;
+    }
+
+    if (visibility === 'public' && rejectIfUnverified(req, res)) {
+      return;
+    }
+
+    if (rejectIfInvalidFolder(folderId, req.session.userId, res)) {
+      return;
+    }
+
+    const list = List.clone(
+      listId,
+      {
+        userId: req.session.userId,
+        name: name?.trim() || `${source.list.name.slice(0, 93)} (copy)`,
+        description: description === undefined ? source.list.description : description?.trim() || null,
+        visibility,
+        folderId,
+      },
+      { resetStatus, includeMetadata }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: list,
+      message: 'List cloned successfully',
+    });
+  } catch (error) {
+    console.error('Clone list error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to clone list',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/lists/:id/share-token
+ * Create a share link, or replace it so old links stop working (private lists become unlisted)
+ * Requires authentication and ownership
+ */
+router.post('/:id/share-token', isAuthenticated, (req, res) => {
+  try {
+    const listId = parseInt(req.params.id, 10);
+
+    if (!List.isOwnedBy(listId, req.session.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only share your own lists.',
+          code: 'FORBIDDEN',
+        },
+      });
+    }
+
+    if (List.isPublic(listId)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Public lists need no share link. Make the list unlisted first.',
+          code: 'CONFLICT',
+        },
+      });
+    }
+
+    if (List.getShareToken(listId)) {
+      List.rotateShareToken(listId);
+    } else {
+      List.update(listId, { visibility: 'unlisted' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        visibility: 'unlisted',
+        shareToken: List.getShareToken(listId),
+      },
+    });
+  } catch (error) {
+    console.error('Create share token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create share link',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/lists/:id/share-token
+ * Revoke the share link (the list becomes private)
+ * Requires authentication and ownership
+ */
+router.delete('/:id/share-token', isAuthenticated, (req, res) => {
+  try {
+    const listId = parseInt(req.params.id, 10);
+
+    if (!List.isOwnedBy(listId, req.session.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. You can only share your own lists.',
+          code: 'FORBIDDEN',
+        },
+      });
+    }
+
+    if (!List.getShareToken(listId)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'This list has no share link',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    List.update(listId, { visibility: 'private' });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Share link revoked. The list is now private.',
+      },
+    });
+  } catch (error) {
+    console.error('Revoke share token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to revoke share link',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+// Query parameters of GET /api/lists/:id/items (a repeated one arrives as an array)
+const ITEM_QUERY_PARAMS = [
+  'faction',
+  'unitType',
+  'assemblyStatus',
+  'paintingStatus',
+  'notes',
+  'sort',
+  'limit',
+  'offset',
+];
+
+/**
+ * Split a comma-separated status filter and check every value
+ * @param {string|undefined} value - Query value (e.g. "Unpainted,Primed")
+ * @param {Array} allowed - Valid statuses
+ * @returns {Array|null|undefined} Statuses, undefined if not sent, or null if any value is invalid
+ */
+function parseStatusFilter(value, allowed) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const statuses = String(value)
+    .split(',')
+    .map((status) => status.trim());
+  return statuses.every((status) => allowed.includes(status)) ? statuses : null;
+}
+
+/**
+ * GET /api/lists/:id/items
+ * Get a page of a list's items, with statistics that still cover the whole list
+ * Filters: ?faction= and ?unitType= (IDs), ?assemblyStatus= and ?paintingStatus= (comma-separated
+ * for several), ?notes= (text the item notes contain)
+ * Sort with ?sort= (e.g. name, -points, status, -added), else the viewer's itemSort preference
+ * Page with ?limit= (defaults to the viewer's pageSize preference, at most 100) and ?offset=
+ * Public for public lists, requires auth as the owner or a collaborator for private lists
+ */
+router.get('/:id/items', optionalAuth, (req, res) => {
+  try {
+    const listId = parseInt(req.params.id, 10);
+    const preferences = UserPreferences.get(req.session?.userId);
+    const { faction, unitType, notes, sort = preferences.itemSort, limit, offset } = req.query;
+
+    if (!List.getOwnerId(listId)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'List not found',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    // Unlisted lists are only reachable through GET /api/shared/:token
+    if (!List.canView(listId, req.session?.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: 'Access denied. This list is private.',
+          code: 'FORBIDDEN',
+        },
+      });
+    }
+
+    const repeated = ITEM_QUERY_PARAMS.find(
+      (param) => req.query[param] !== undefined && typeof req.query[param] !== 'string'
+    );
+    if (repeated) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `${repeated} must be sent once`,
+          code: 'VALIDATION_ERROR',
+          field: repeated,
+        },
+      });
+    }
+
+    const filters = {
+      factionId: faction !== undefined ? Number(faction) : undefined,
+      unitTypeId: unitType !== undefined ? Number(unitType) : undefined,
+      assemblyStatuses: parseStatusFilter(req.query.assemblyStatus, ListItem.ASSEMBLY_STATUS),
+      paintingStatuses: parseStatusFilter(req.query.paintingStatus, ListItem.PAINTING_STATUS),
+      notes: notes?.trim() || undefined,
+      sort,
+      limit: limit !== undefined ? Number(limit) : preferences.pageSize,
+      offset: offset !== undefined ? Number(offset) : 0,
+    };
+
+    if (filters.factionId !== undefined && !(Number.isInteger(filters.factionId) && filters.factionId > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'faction must be a faction ID',
+          code: 'VALIDATION_ERROR',
+          field: 'faction',
+        },
+      });
+    }
+
+    if (filters.unitTypeId !== undefined && !(Number.isInteger(filters.unitTypeId) && filters.unitTypeId > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'unitType must be a unit type ID',
+          code: 'VALIDATION_ERROR',
+          field: 'unitType',
+        },
+      });
+    }
+
+    if (filters.assemblyStatuses === null) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid assembly status. Must be one of: ${ListItem.ASSEMBLY_STATUS.join(', ')}`,
+          code: 'VALIDATION_ERROR',
+          field: 'assemblyStatus',
+        },
+      });
+    }
+
+    if (filters.paintingStatuses === null) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid painting status. Must be one of: ${ListItem.PAINTING_STATUS.join(', ')}`,
+          code: 'VALIDATION_ERROR',
+          field: 'paintingStatus',
+        },
+      });
+    }
+
+    if (!UserPreferences.ITEM_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `sort must be one of: ${UserPreferences.ITEM_SORTS.join(', ')}`,
+          code: 'VALIDATION_ERROR',
+          field: 'sort',
+        },
+      });
+    }
+
+    if (!UserPreferences.isValidPageSize(filters.limit)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `limit must be a whole number from 1 to ${UserPreferences.MAX_PAGE_SIZE}`,
+          code: 'VALIDATION_ERROR',
+          field: 'limit',
+        },
+      });
+    }
+
+    if (!Number.isInteger(filters.offset) || filters.offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'offset must be a whole number of 0 or more',
+          code: 'VALIDATION_ERROR',
+          field: 'offset',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...List.findItems(listId, filters),
+        statistics: List.getStatistics(listId),
+      },
+    });
+  } catch (error) {
+    console.error('Get list items error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get list items',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
 /**
  * POST /api/lists/:id/items
  * Add miniature to list
- * Requires authentication and ownership
+ * Requires authentication as the owner or an editor
  */
 router.post('/:id/items', isAuthenticated, (req, res) => {
   try {
@@ -299,8 +895,8 @@ router.post('/:id/items', isAuthenticated, (req, res) => {
     const { miniatureId, quantity, assemblyStatus, paintingStatus, notes } =
       req.body;
 
-    // Check if list exists and user owns it
-    if (!List.isOwnedBy(listId, req.session.userId)) {
+    // Check if list exists and user can edit it
+    if (!List.canEdit(listId, req.session.userId)) {
       return res.status(403).json({
         success: false,
         error: {
@@ -5,6 +5,7 @@ const router = express.Router();
 const Metadata = require('../models/Metadata');
 const ListItem = require('../models/ListItem');
 const List = require('../models/List');
+const UserPreferences = require('../models/UserPreferences');
 const { isAuthenticated } = require('../middleware/auth');
 
 /**
@@ -29,11 +30,7 @@ router.get('/:id/metadata', (req, res) => {
     }
 
     // Check if user can view this list
-    const isOwner =
-      req.session?.userId && List.isOwnedBy(listId, req.session.userId);
-    const isPublicList = List.isPublic(listId);
-
-    if (!isPublicList && !isOwner) {
+    if (!List.canView(listId, req.session?.userId)) {
       return res.status(403).json({
         success: false,
         error: {
@@ -64,6 +61,7 @@ router.get('/:id/metadata', (req, res) => {
         techniques: metadata.techniques,
         purchaseDate: metadata.purchase_date,
         cost: metadata.cost,
+        currency: metadata.currency,
         storageLocation: metadata.storage_location,
         customNotes: metadata.custom_notes,
       },
@@ -83,6 +81,7 @@ router.get('/:id/metadata', (req, res) => {
 /**
  * POST /api/list-items/:id/metadata
  * Create or update metadata
+ * currency (ISO 4217) labels the cost; it defaults to the list owner's currency preference
  */
 router.post('/:id/metadata', isAuthenticated, (req, res) => {
   try {
@@ -92,6 +91,7 @@ router.post('/:id/metadata', isAuthenticated, (req, res) => {
       techniques,
       purchaseDate,
       cost,
+      currency,
       storageLocation,
       customNotes,
     } = req.body;
@@ -109,8 +109,8 @@ router.post('/:id/metadata', isAuthenticated, (req, res) => {
       });
     }
 
-    // Check if user owns the list
-    if (!List.isOwnedBy(listId, req.session.userId)) {
+    // Check if user can edit the list
+    if (!List.canEdit(listId, req.session.userId)) {
       return res.status(403).json({
         success: false,
         error: {
@@ -143,11 +143,30 @@ router.post('/:id/metadata', isAuthenticated, (req, res) => {
       });
     }
 
+    const requestedCurrency = typeof currency === 'string' ? currency.toUpperCase() : currency;
+    if (requestedCurrency !== undefined && !UserPreferences.isValidCurrency(requestedCurrency)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Currency must be an ISO 4217 currency code (e.g. USD, EUR, GBP)',
+          code: 'VALIDATION_ERROR',
+          field: 'currency',
+        },
+      });
+    }
+
+    // A cost keeps the currency it was entered in: the one sent, else the owner's preference right now
+    const existing = Metadata.findByListItemId(listItemId);
+    const costCurrency =
+      requestedCurrency ??
+      (cost !== undefined || !existing ? UserPreferences.get(List.getOwnerId(listId)).currency : undefined);
+
     const metadata = Metadata.createOrUpdate(listItemId, {
       paintColors,
       techniques,
       purchaseDate,
       cost: cost !== undefined ? Number(cost) : undefined,
+      currency: costCurrency,
       storageLocation,
       customNotes,
     });
@@ -195,8 +214,8 @@ router.delete('/:id', isAuthenticated, (req, res) => {
     // Get list ID from item
     const listId = ListItem.getListId(listItemId);
 
-    // Check if user owns the list
-    if (!List.isOwnedBy(listId, req.session.userId)) {
+    // Check if user can edit the list
+    if (!List.canEdit(listId, req.session.userId)) {
       return res.status(403).json({
         success: false,
         error: {
@@ -3,22 +3,26 @@ const express = require('express');
 
 const router = express.Router();
 const Miniature = require('../models/Miniature');
-const { isAdmin } = require('../middleware/auth');
+const UserPreferences = require('../models/UserPreferences');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * GET /api/miniatures
  * Get all miniatures with optional filtering
+ * ?search= runs a ranked full-text search with highlighted matches
  * Public endpoint
  */
 router.get('/', (req, res) => {
   try {
     const { faction, unitType, search, limit, offset } = req.query;
+    // Logged-in users get their pageSize preference; anonymous visitors get 50
+    const pageSize = req.session?.userId ? UserPreferences.get(req.session.userId).pageSize : 50;
 
     const filters = {
       factionId: faction ? parseInt(faction, 10) : undefined,
       unitTypeId: unitType ? parseInt(unitType, 10) : undefined,
-      search: search || undefined,
-      limit: limit ? parseInt(limit, 10) : 50,
+      search: search?.trim() || undefined,
+      limit: limit ? parseInt(limit, 10) : pageSize,
       offset: offset ? parseInt(offset, 10) : 0,
     };
 
@@ -78,9 +82,9 @@ router.get('/:id', (req, res) => {
 /**
  * POST /api/miniatures
  * Create new miniature
- * Admin only
+ * Requires the catalog:write permission
  */
-router.post('/', isAdmin, (req, res) => {
+router.post('/', requirePermission('catalog:write'), (req, res) => {
   try {
     const { name, factionId, unitTypeId, pointsValue, baseSize, description } = req.body;
 
@@ -139,9 +143,9 @@ router.post('/', isAdmin, (req, res) => {
 /**
  * PUT /api/miniatures/:id
  * Update miniature
- * Admin only
+ * Requires the catalog:write permission
  */
-router.put('/:id', isAdmin, (req, res) => {
+router.put('/:id', requirePermission('catalog:write'), (req, res) => {
   try {
     const miniatureId = req.params.id;
     const { name, factionId, unitTypeId, pointsValue, baseSize, description } = req.body;
@@ -215,9 +219,9 @@ router.put('/:id', isAdmin, (req, res) => {
 /**
  * DELETE /api/miniatures/:id
  * Delete miniature
- * Admin only
+ * Requires the catalog:write permission
  */
-router.delete('/:id', isAdmin, (req, res) => {
+router.delete('/:id', requirePermission('catalog:write'), (req, res) => {
   try {
     const miniatureId = req.params.id;
 
@@ -0,0 +1,282 @@
+// routes/oidc.js
+const crypto = require('crypto');
+const express = require('express');
+
+const router = express.Router();
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const TwoFactor = require('../models/TwoFactor');
+const EmailVerification = require('../models/EmailVerification');
+const SQLiteStore = require('../config/sessionStore');
+const { getProvider, listProviders, createAuthorizationRequest, completeAuthorization } = require('../config/oidc');
+const { isAuthenticated, requireSession } = require('../middleware/auth');
+
+// Where the browser is sent once the provider hands control back
+const REDIRECT_URL = process.env.OIDC_REDIRECT_URL || '/';
+
+// Whether logging in with an unknown external identity creates an account
+const ALLOW_SIGNUP = process.env.OIDC_ALLOW_SIGNUP !== 'false';
+
+// How long the user has to finish logging in at the provider (10 minutes)
+const FLOW_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Send the browser back to the app with the outcome in the query string
+ * @param {Object} res - Express response
+ * @param {Object} params - Query parameters (oidc=... on success, oidcError=... on failure)
+ */
+function redirectBack(res, params) {
+  const separator = REDIRECT_URL.includes('?') ? '&' : '?';
+  res.redirect(`${REDIRECT_URL}${separator}${new URLSearchParams(params)}`);
+}
+
+/**
+ * Look up the provider named in the URL, or send a 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|undefined} Provider config
+ */
+function findProvider(req, res) {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Unknown login provider',
+        code: 'NOT_FOUND',
+      },
+    });
+  }
+
+  return provider;
+}
+
+/**
+ * Send the browser to the provider, remembering the flow in the session
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} provider - Provider config
+ * @param {number|null} linkUserId - User to link the identity to (null to log in)
+ */
+async function startFlow(req, res, provider, linkUserId) {
+  const { url, flow } = await createAuthorizationRequest(provider);
+
+  req.session.oidcFlow = {
+    ...flow,
+    provider: provider.name,
+    linkUserId,
+    expiresAt: Date.now() + FLOW_TIMEOUT,
+  };
+
+  res.redirect(url);
+}
+
+/**
+ * Pick a free username based on what the provider reported
+ * @param {Object} identity - Normalized identity from the provider
+ * @param {string} providerName - Provider name (fallback base)
+ * @returns {string} Unused username
+ */
+function chooseUsername(identity, providerName) {
+  const base =
+    (identity.username || identity.email?.split('@')[0] || '').replace(/[^\w.-]/g, '').slice(0, 40) ||
+    `${providerName}-user`;
+  let username = base.length >= 3 ? base : `${base}-user`;
+
+  while (User.usernameExists(username)) {
+    username = `${base}-${crypto.randomInt(1000, 10000)}`;
+  }
+
+  return username;
+}
+
+/**
+ * Create a local account for a new external identity
+ * @param {Object} identity - Normalized identity from the provider
+ * @param {Object} provider - Provider config
+ * @returns {Promise<Object>} Created user
+ */
+async function createUserFromIdentity(identity, provider) {
+  // Nobody knows this password; the user can set one with forgot-password
+  const user = await User.create({
+    username: chooseUsername(identity, provider.name),
+    email: identity.email,
+    password: crypto.randomBytes(32).toString('base64url'),
+    hasPassword: false,
+  });
+
+  if (identity.emailVerified) {
+    User.verifyEmail(user.id, identity.email);
+  } else {
+    try {
+      await EmailVerification.send(user, identity.email);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+  }
+
+  return user;
+}
+
+/**
+ * GET /api/auth/oidc
+ * List the external login providers that are configured
+ * Public
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: listProviders(),
+  });
+});
+
+/**
+ * GET /api/auth/oidc/:provider
+ * Log in with an external provider (redirects to the provider)
+ * Public
+ */
+router.get('/:provider', async (req, res) => {
+  try {
+    const provider = findProvider(req, res);
+    if (!provider) {
+      return;
+    }
+
+    await startFlow(req, res, provider, null);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    redirectBack(res, { oidcError: 'PROVIDER_UNAVAILABLE' });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/:provider/link
+ * Link an external identity to the current account (redirects to the provider)
+ * Authentication required (login session only)
+ */
+router.get('/:provider/link', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    const provider = findProvider(req, res);
+    if (!provider) {
+      return;
+    }
+
+    if (UserIdentity.isLinked(req.session.userId, provider.name)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Your account is already linked to ${provider.displayName}`,
+          code: 'CONFLICT',
+        },
+      });
+    }
+
+    await startFlow(req, res, provider, req.session.userId);
+  } catch (error) {
+    console.error('OIDC link error:', error);
+    redirectBack(res, { oidcError: 'PROVIDER_UNAVAILABLE' });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/:provider/callback
+ * Where the provider sends the browser back; finishes the login or link
+ * Public
+ */
+router.get('/:provider/callback', async (req, res) => {
+  const flow = req.session.oidcFlow;
+  delete req.session.oidcFlow;
+
+  try {
+    const provider = findProvider(req, res);
+    if (!provider) {
+      return;
+    }
+
+    if (!flow || flow.provider !== provider.name || flow.expiresAt < Date.now() || req.query.state !== flow.state) {
+      return redirectBack(res, { oidcError: 'INVALID_STATE' });
+    }
+
+    if (req.query.error || !req.query.code) {
+      return redirectBack(res, { oidcError: req.query.error === 'access_denied' ? 'ACCESS_DENIED' : 'PROVIDER_ERROR' });
+    }
+
+    const identity = await completeAuthorization(provider, req.query.code, flow);
+    const existing = UserIdentity.findByProviderSubject(provider.name, identity.subject);
+
+    // Linking to the logged-in account
+    if (flow.linkUserId) {
+      if (req.session.userId !== flow.linkUserId) {
+        return redirectBack(res, { oidcError: 'INVALID_STATE' });
+      }
+
+      if (existing && existing.userId !== flow.linkUserId) {
+        return redirectBack(res, { oidcError: 'IDENTITY_IN_USE' });
+      }
+
+      if (!existing) {
+        UserIdentity.create({
+          userId: flow.linkUserId,
+          provider: provider.name,
+          subject: identity.subject,
+          email: identity.email,
+        });
+      }
+
+      return redirectBack(res, { oidc: 'linked', provider: provider.name });
+    }
+
+    // Logging in
+    let user;
+    if (existing) {
+      user = User.findById(existing.userId);
+      UserIdentity.touch(existing.id, identity.email);
+    } else {
+      if (!ALLOW_SIGNUP) {
+        return redirectBack(res, { oidcError: 'SIGNUP_DISABLED' });
+      }
+
+      if (!identity.email) {
+        return redirectBack(res, { oidcError: 'EMAIL_REQUIRED' });
+      }
+
+      // Never take over an existing account by email; its owner has to link it themselves
+      if (User.emailExists(identity.email)) {
+        return redirectBack(res, { oidcError: 'ACCOUNT_EXISTS' });
+      }
+
+      user = await createUserFromIdentity(identity, provider);
+      UserIdentity.create({
+        userId: user.id,
+        provider: provider.name,
+        subject: identity.subject,
+        email: identity.email,
+      });
+      user = User.findById(user.id);
+    }
+
+    if (user.isDisabled) {
+      return redirectBack(res, { oidcError: 'ACCOUNT_DISABLED' });
+    }
+
+    // Local two-factor authentication still applies; finish with POST /api/auth/login { code }
+    if (TwoFactor.isEnabled(user.id)) {
+      req.session.twoFactorPending = { username: user.username, expiresAt: Date.now() + TwoFactor.LOGIN_TIMEOUT };
+      return redirectBack(res, { oidc: 'two-factor-required' });
+    }
+
+    // Create session
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    req.session.mustChangePassword = user.mustChangePassword;
+    req.session.client = SQLiteStore.describeClient(req);
+
+    redirectBack(res, { oidc: existing ? 'login' : 'signup' });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectBack(res, { oidcError: 'LOGIN_FAILED' });
+  }
+});
+
+module.exports = router;
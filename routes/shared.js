@@ -0,0 +1,66 @@
+// routes/shared.js
+const express = require('express');
+
+const router = express.Router();
+const List = require('../models/List');
+const UserPreferences = require('../models/UserPreferences');
+
+/**
+ * GET /api/shared/:token
+ * Get an unlisted list through its share link (same payload as GET /api/lists/:id)
+ * Public
+ */
+router.get('/:token', (req, res) => {
+  try {
+    const listId = List.findIdByShareToken(req.params.token);
+
+    if (!listId) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'This share link is invalid or has been revoked',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    const { sort = UserPreferences.get(req.session?.userId).itemSort } = req.query;
+
+    if (!UserPreferences.ITEM_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `sort must be one of: ${UserPreferences.ITEM_SORTS.join(', ')}`,
+          code: 'VALIDATION_ERROR',
+          field: 'sort',
+        },
+      });
+    }
+
+    const result = List.findById(listId, { sort });
+    const role = List.getUserRole(listId, req.session?.userId);
+
+    if (role === 'owner') {
+      result.list.shareToken = List.getShareToken(listId);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        role: role || null,
+      },
+    });
+  } catch (error) {
+    console.error('Get shared list error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get shared list',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+module.exports = router;
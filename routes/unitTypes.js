@@ -3,7 +3,7 @@ const express = require('express');
 
 const router = express.Router();
 const UnitType = require('../models/UnitType');
-const { isAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * GET /api/unit-types
@@ -68,9 +68,9 @@ router.get('/:id', (req, res) => {
 /**
  * POST /api/unit-types
  * Create new unit type
- * Admin only
+ * Requires the catalog:write permission
  */
-router.post('/', isAdmin, (req, res) => {
+router.post('/', requirePermission('catalog:write'), (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -119,9 +119,9 @@ router.post('/', isAdmin, (req, res) => {
 /**
  * PUT /api/unit-types/:id
  * Update unit type
- * Admin only
+ * Requires the catalog:write permission
  */
-router.put('/:id', isAdmin, (req, res) => {
+router.put('/:id', requirePermission('catalog:write'), (req, res) => {
   try {
     const { name, description } = req.body;
     const unitTypeId = req.params.id;
@@ -188,9 +188,9 @@ router.put('/:id', isAdmin, (req, res) => {
 /**
  * DELETE /api/unit-types/:id
  * Delete unit type
- * Admin only
+ * Requires the catalog:write permission
  */
-router.delete('/:id', isAdmin, (req, res) => {
+router.delete('/:id', requirePermission('catalog:write'), (req, res) => {
   try {
     const unitTypeId = req.params.id;
 
@@ -2,8 +2,22 @@
 const express = require('express');
 
 const router = express.Router();
+const SQLiteStore = require('../config/sessionStore');
 const User = require('../models/User');
-const { isAuthenticated } = require('../middleware/auth');
+const List = require('../models/List');
+const ListFolder = require('../models/ListFolder');
+const Metadata = require('../models/Metadata');
+const ApiToken = require('../models/ApiToken');
+const EmailVerification = require('../models/EmailVerification');
+const TwoFactor = require('../models/TwoFactor');
+const UserIdentity = require('../models/UserIdentity');
+const Role = require('../models/Role');
+const UserPreferences = require('../models/UserPreferences');
+const { sendMail } = require('../config/mailer');
+const { isAuthenticated, requireSession } = require('../middleware/auth');
+
+// Days a deleted account can still be restored before it is purged
+const DELETION_GRACE_DAYS = parseFloat(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? '14');
 
 /**
  * GET /api/users/me
@@ -26,7 +40,10 @@ router.get('/me', isAuthenticated, (req, res) => {
 
     res.json({
       success: true,
-      data: user,
+      data: {
+        ...user,
+        roles: Role.getUserRoles(user.id),
+      },
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -40,27 +57,128 @@ router.get('/me', isAuthenticated, (req, res) => {
   }
 });
 
+// Longest allowed public profile fields
+const PROFILE_LIMITS = {
+  displayName: 50,
+  bio: 500,
+  avatarUrl: 500,
+};
+
+/**
+ * Pick the public profile fields out of a request body and validate them
+ * Empty strings and null clear a field
+ * @param {Object} body - Request body
+ * @returns {Object} Object with profile (fields to update) or error ({ message, field })
+ */
+function parseProfileFields(body) {
+  const profile = {};
+
+  const textFields = Object.keys(PROFILE_LIMITS).filter((field) => body[field] !== undefined);
+
+  const notString = textFields.find((field) => body[field] !== null && typeof body[field] !== 'string');
+  if (notString) {
+    return { error: { message: `${notString} must be a string`, field: notString } };
+  }
+
+  textFields.forEach((field) => {
+    profile[field] = body[field]?.trim() || null;
+  });
+
+  const tooLong = textFields.find((field) => profile[field]?.length > PROFILE_LIMITS[field]);
+  if (tooLong) {
+    return { error: { message: `${tooLong} must be at most ${PROFILE_LIMITS[tooLong]} characters`, field: tooLong } };
+  }
+
+  if (profile.avatarUrl && !/^https?:\/\/\S+$/i.test(profile.avatarUrl)) {
+    return { error: { message: 'avatarUrl must be an http(s) URL', field: 'avatarUrl' } };
+  }
+
+  if (body.profileHidden !== undefined) {
+    if (typeof body.profileHidden !== 'boolean') {
+      return { error: { message: 'profileHidden must be true or false', field: 'profileHidden' } };
+    }
+    profile.profileHidden = body.profileHidden;
+  }
+
+  return { profile };
+}
+
 /**
  * PUT /api/users/me
- * Update current user profile
+ * Update current user profile (email, password, displayName, bio, avatarUrl, profileHidden)
  * Authentication required
  */
 router.put('/me', isAuthenticated, async (req, res) => {
   try {
     const { email, password, currentPassword } = req.body;
     const { userId } = req.session;
+    const { profile, error: profileError } = parseProfileFields(req.body);
 
     // Validation
-    if (!email && !password) {
+    if (!email && !password && profile && Object.keys(profile).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'At least one field (email, password or a profile field) is required',
+          code: 'VALIDATION_ERROR',
+        },
+      });
+    }
+
+    if (profileError) {
       return res.status(400).json({
         success: false,
         error: {
-          message: 'At least one field (email or password) is required',
+          ...profileError,
           code: 'VALIDATION_ERROR',
         },
       });
     }
 
+    // Check the new email before changing anything
+    if (email) {
+      // Validate email format
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Invalid email format',
+            code: 'VALIDATION_ERROR',
+            field: 'email',
+          },
+        });
+      }
+
+      // Check if email is already in use by another user
+      const existingUser = User.findByEmail(email);
+      if (existingUser && existingUser.id !== userId) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: 'Email already in use',
+            code: 'DUPLICATE_ENTRY',
+            field: 'email',
+          },
+        });
+      }
+
+      // A new address gets a verification email, so the resend limit applies here too
+      const retryAfter = email === User.findById(userId).email ? 0 : EmailVerification.retryAfter(userId);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: {
+            message: 'Please wait before requesting another email',
+            code: 'TOO_MANY_REQUESTS',
+            field: 'email',
+            retryAfter,
+          },
+        });
+      }
+    }
+
     // If changing password, verify current password first
     if (password) {
       if (!currentPassword) {
@@ -101,39 +219,37 @@ router.put('/me', isAuthenticated, async (req, res) => {
         });
       }
 
-      // Update password
+      // Update password (also clears any admin-forced reset)
       await User.updatePassword(userId, password);
+      req.session.mustChangePassword = false;
+
+      // Anyone else logged in with the old password is logged out
+      SQLiteStore.destroyUserSessions(userId, req.sessionID);
     }
 
+    User.updateProfile(userId, profile);
+
     // Update email if provided
     if (email) {
-      // Validate email format
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: 'Invalid email format',
-            code: 'VALIDATION_ERROR',
-            field: 'email',
-          },
-        });
-      }
+      // The current address stays in use until the new one is verified
+      const user = User.findById(userId);
+      if (email !== user.email) {
+        User.setPendingEmail(userId, email);
+        await EmailVerification.send(user, email);
 
-      // Check if email is already in use by another user
-      const existingUser = User.findByEmail(email);
-      if (existingUser && existingUser.id !== userId) {
-        return res.status(409).json({
-          success: false,
-          error: {
-            message: 'Email already in use',
-            code: 'DUPLICATE_ENTRY',
-            field: 'email',
+        return res.json({
+          success: true,
+          data: {
+            message: `Profile updated. Check ${email} for a link to confirm your new email address.`,
+            pendingEmail: email,
           },
         });
       }
 
-      User.updateEmail(userId, email);
+      // Changing back to the current address cancels a pending change
+      if (user.pendingEmail) {
+        User.setPendingEmail(userId, null);
+      }
     }
 
     res.json({
@@ -154,4 +270,893 @@ router.put('/me', isAuthenticated, async (req, res) => {
   }
 });
 
+/**
+ * Pick preference fields out of a request body and validate them
+ * null resets a field to its default
+ * @param {Object} body - Request body
+ * @returns {Object} Object with preferences (fields to update) or error ({ message, field })
+ */
+function parsePreferences(body) {
+  const rules = {
+    defaultListVisibility: [
+      (value) => UserPreferences.VISIBILITIES.includes(value),
+      `must be one of: ${UserPreferences.VISIBILITIES.join(', ')}`,
+    ],
+    currency: [UserPreferences.isValidCurrency, 'must be an ISO 4217 currency code (e.g. USD, EUR, GBP)'],
+    dateFormat: [
+      (value) => UserPreferences.DATE_FORMATS.includes(value),
+      `must be one of: ${UserPreferences.DATE_FORMATS.join(', ')}`,
+    ],
+    itemSort: [
+      (value) => UserPreferences.ITEM_SORTS.includes(value),
+      `must be one of: ${UserPreferences.ITEM_SORTS.join(', ')}`,
+    ],
+    pageSize: [UserPreferences.isValidPageSize, `must be a whole number from 1 to ${UserPreferences.MAX_PAGE_SIZE}`],
+  };
+
+  const preferences = Object.fromEntries(
+    Object.keys(rules)
+      .filter((field) => body[field] !== undefined)
+      .map((field) => [
+        field,
+        field === 'currency' && typeof body.currency === 'string' ? body.currency.toUpperCase() : body[field],
+      ])
+  );
+
+  const invalid = Object.keys(preferences).find(
+    (field) => preferences[field] !== null && !rules[field][0](preferences[field])
+  );
+  if (invalid) {
+    return { error: { message: `${invalid} ${rules[invalid][1]}`, field: invalid } };
+  }
+
+  return { preferences };
+}
+
+/**
+ * GET /api/users/me/preferences
+ * Get the current user's preferences (defaults filled in)
+ * Authentication required
+ */
+router.get('/me/preferences', isAuthenticated, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: UserPreferences.get(req.session.userId),
+    });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get preferences',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * PUT /api/users/me/preferences
+ * Update preferences (defaultListVisibility, currency, dateFormat, itemSort, pageSize)
+ * Only the fields sent are changed; null resets a field to its default
+ * Authentication required
+ */
+router.put('/me/preferences', isAuthenticated, (req, res) => {
+  try {
+    const { preferences, error } = parsePreferences(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          ...error,
+          code: 'VALIDATION_ERROR',
+        },
+      });
+    }
+
+    if (Object.keys(preferences).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `At least one preference is required (${Object.keys(UserPreferences.DEFAULTS).join(', ')})`,
+          code: 'VALIDATION_ERROR',
+        },
+      });
+    }
+
+    UserPreferences.update(req.session.userId, preferences);
+
+    res.json({
+      success: true,
+      data: UserPreferences.get(req.session.userId),
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update preferences',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/sessions
+ * List the devices the current user is logged in on
+ * Authentication required (login session only)
+ */
+router.get('/me/sessions', isAuthenticated, requireSession, (req, res) => {
+  try {
+    const sessions = SQLiteStore.getUserSessions(req.session.userId).map(({ sid, ...session }) => ({
+      ...session,
+      current: sid === req.sessionID,
+    }));
+
+    res.json({
+      success: true,
+      data: sessions,
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get sessions',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/sessions
+ * Log out everywhere (?except=current keeps this session logged in)
+ * Authentication required (login session only)
+ */
+router.delete('/me/sessions', isAuthenticated, requireSession, (req, res) => {
+  try {
+    const keepCurrent = req.query.except === 'current';
+    const count = SQLiteStore.destroyUserSessions(req.session.userId, keepCurrent ? req.sessionID : null);
+
+    if (!keepCurrent) {
+      res.clearCookie('connect.sid');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: keepCurrent ? 'Logged out of all other sessions' : 'Logged out everywhere',
+        count,
+      },
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to log out sessions',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/sessions/:id
+ * Log out a single session (e.g. a lost device)
+ * Authentication required (login session only)
+ */
+router.delete('/me/sessions/:id', isAuthenticated, requireSession, (req, res) => {
+  try {
+    if (!SQLiteStore.destroyUserSession(req.session.userId, req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Session not found',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Session logged out successfully',
+      },
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to log out session',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/tokens
+ * List current user's personal API tokens
+ * Authentication required (login session only)
+ */
+router.get('/me/tokens', isAuthenticated, requireSession, (req, res) => {
+  try {
+    const tokens = ApiToken.getAllByUser(req.session.userId);
+
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get API tokens',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/tokens
+ * Create a personal API token (the token is only returned once)
+ * Authentication required (login session only)
+ */
+router.post('/me/tokens', isAuthenticated, requireSession, (req, res) => {
+  try {
+    const { name, scope = 'read' } = req.body;
+
+    // Validation
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Token name is required',
+          code: 'VALIDATION_ERROR',
+          field: 'name',
+        },
+      });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Token name must be 100 characters or less',
+          code: 'VALIDATION_ERROR',
+          field: 'name',
+        },
+      });
+    }
+
+    if (!ApiToken.isValidScope(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid scope. Must be one of: ${ApiToken.SCOPES.join(', ')}`,
+          code: 'VALIDATION_ERROR',
+          field: 'scope',
+        },
+      });
+    }
+
+    const token = ApiToken.create({
+      userId: req.session.userId,
+      name: name.trim(),
+      scope,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: token,
+      message: 'Token created. Copy it now - it will not be shown again.',
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create API token',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/tokens/:id
+ * Revoke a personal API token
+ * Authentication required (login session only)
+ */
+router.delete('/me/tokens/:id', isAuthenticated, requireSession, (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.id, 10);
+
+    if (!ApiToken.revoke(tokenId, req.session.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'API token not found',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'API token revoked successfully',
+      },
+    });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to revoke API token',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * Check the current password sent with a sensitive request, or send a 400/401
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} True if the password is correct
+ */
+async function confirmPassword(req, res) {
+  const { password } = req.body || {};
+
+  if (!password) {
+    res.status(400).json({
+      success: false,
+      error: {
+        message: 'Your current password is required',
+        code: 'VALIDATION_ERROR',
+        field: 'password',
+      },
+    });
+    return false;
+  }
+
+  const user = User.findByUsername(req.session.username);
+  if (!(await User.verifyPassword(password, user.password_hash))) {
+    res.status(401).json({
+      success: false,
+      error: {
+        message: 'Password is incorrect',
+        code: 'INVALID_CREDENTIALS',
+        field: 'password',
+      },
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * GET /api/users/me/2fa
+ * Get two-factor authentication status
+ * Authentication required (login session only)
+ */
+router.get('/me/2fa', isAuthenticated, requireSession, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: TwoFactor.getStatus(req.session.userId),
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get two-factor status',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/2fa
+ * Start enrollment: returns a new secret and otpauth:// URI for an authenticator app
+ * 2FA is not enabled until a first code is verified with POST /api/users/me/2fa/verify
+ * Requires { password }
+ * Authentication required (login session only)
+ */
+router.post('/me/2fa', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    if (TwoFactor.isEnabled(req.session.userId)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Two-factor authentication is already enabled',
+          code: 'CONFLICT',
+        },
+      });
+    }
+
+    if (!(await confirmPassword(req, res))) {
+      return;
+    }
+
+    const enrollment = TwoFactor.startEnrollment(req.session.userId, req.session.username);
+
+    res.status(201).json({
+      success: true,
+      data: enrollment,
+      message: 'Add the account to your authenticator app, then verify a code to enable two-factor authentication.',
+    });
+  } catch (error) {
+    console.error('Start 2FA enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to start two-factor enrollment',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/2fa/verify
+ * Finish enrollment with a first code ({ code }) and get recovery codes (shown only once)
+ * Authentication required (login session only)
+ */
+router.post('/me/2fa/verify', isAuthenticated, requireSession, (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Code is required',
+          code: 'VALIDATION_ERROR',
+          field: 'code',
+        },
+      });
+    }
+
+    if (!TwoFactor.getStatus(req.session.userId).pending) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'No two-factor enrollment in progress',
+          code: 'VALIDATION_ERROR',
+        },
+      });
+    }
+
+    const recoveryCodes = TwoFactor.confirmEnrollment(req.session.userId, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid code. Check the time on your device and try again.',
+          code: 'INVALID_TWO_FACTOR_CODE',
+          field: 'code',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+      message:
+        'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+    });
+  } catch (error) {
+    console.error('Verify 2FA enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to enable two-factor authentication',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/2fa/recovery-codes
+ * Replace recovery codes (old ones stop working)
+ * Requires { password }
+ * Authentication required (login session only)
+ */
+router.post('/me/2fa/recovery-codes', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    if (!TwoFactor.isEnabled(req.session.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Two-factor authentication is not enabled',
+          code: 'VALIDATION_ERROR',
+        },
+      });
+    }
+
+    if (!(await confirmPassword(req, res))) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: { recoveryCodes: TwoFactor.regenerateRecoveryCodes(req.session.userId) },
+      message: 'New recovery codes generated. Store them somewhere safe - they will not be shown again.',
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to generate recovery codes',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/2fa
+ * Turn off two-factor authentication (or cancel an enrollment)
+ * Requires { password }
+ * Authentication required (login session only)
+ */
+router.delete('/me/2fa', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    const status = TwoFactor.getStatus(req.session.userId);
+
+    if (!status.enabled && !status.pending) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Two-factor authentication is not enabled',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    if (!(await confirmPassword(req, res))) {
+      return;
+    }
+
+    TwoFactor.disable(req.session.userId);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Two-factor authentication disabled',
+      },
+    });
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to disable two-factor authentication',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/users/me/identities
+ * List external login identities linked to the account
+ * Link new ones with GET /api/auth/oidc/:provider/link
+ * Authentication required
+ */
+router.get('/me/identities', isAuthenticated, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: UserIdentity.getAllByUser(req.session.userId),
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get linked identities',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/identities/:id
+ * Unlink an external login identity
+ * Requires { password } so the account can still be logged into afterwards
+ * Authentication required (login session only)
+ */
+router.delete('/me/identities/:id', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    if (!(await confirmPassword(req, res))) {
+      return;
+    }
+
+    if (!UserIdentity.delete(parseInt(req.params.id, 10), req.session.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Linked identity not found',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Identity unlinked successfully',
+      },
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to unlink identity',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * Collect everything stored about a user for export
+ * @param {number} userId - User ID
+ * @returns {Object} Export archive
+ */
+function buildExport(userId) {
+  const lists = List.getAllByUser(userId).map(({ id }) => {
+    const { list, items, statistics } = List.findById(id);
+
+    return {
+      ...list,
+      statistics,
+      items: items.map((item) => {
+        const metadata = Metadata.findByListItemId(item.id);
+        if (!metadata) {
+          return { ...item, metadata: null };
+        }
+
+        return {
+          ...item,
+          metadata: {
+            paintColors: metadata.paint_colors,
+            techniques: metadata.techniques,
+            purchaseDate: metadata.purchase_date,
+            cost: metadata.cost,
+            currency: metadata.currency,
+            storageLocation: metadata.storage_location,
+            customNotes: metadata.custom_notes,
+          },
+        };
+      }),
+    };
+  });
+
+  return {
+    format: 'minitracker-export',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    profile: User.findById(userId),
+    roles: Role.getUserRoles(userId),
+    preferences: UserPreferences.get(userId),
+    folders: ListFolder.getAllByUser(userId),
+    lists,
+    apiTokens: ApiToken.getAllByUser(userId),
+    linkedIdentities: UserIdentity.getAllByUser(userId),
+    twoFactor: TwoFactor.getStatus(userId),
+    sessions: SQLiteStore.getUserSessions(userId).map(({ sid: _sid, ...session }) => session),
+  };
+}
+
+/**
+ * GET /api/users/me/export
+ * Download everything stored about the current user as a JSON file
+ * Authentication required (login session only)
+ */
+router.get('/me/export', isAuthenticated, requireSession, (req, res) => {
+  try {
+    const archive = buildExport(req.session.userId);
+    const date = archive.exportedAt.slice(0, 10);
+
+    res.attachment(`minitracker-${req.session.username}-${date}.json`);
+    res.type('application/json');
+    res.send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to export account data',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me
+ * Delete the current account and everything it owns
+ * The account is purged after ACCOUNT_DELETION_GRACE_DAYS unless the deletion is cancelled
+ * Requires { password }, unless the account was created by an external login and never set one
+ * Authentication required (login session only)
+ */
+router.delete('/me', isAuthenticated, requireSession, async (req, res) => {
+  try {
+    const user = User.findById(req.session.userId);
+
+    if (user.deletionScheduledAt) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Your account is already scheduled for deletion on ${user.deletionScheduledAt}`,
+          code: 'CONFLICT',
+        },
+      });
+    }
+
+    if (user.isAdmin && !user.isDisabled && User.countActiveAdmins() <= 1) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'The last active admin cannot delete their account. Promote another admin first.',
+          code: 'LAST_ADMIN',
+        },
+      });
+    }
+
+    if (user.hasPassword && !(await confirmPassword(req, res))) {
+      return;
+    }
+
+    if (DELETION_GRACE_DAYS <= 0) {
+      // Lists, items, metadata, tokens and identities go with the user via ON DELETE CASCADE
+      User.delete(user.id);
+      SQLiteStore.destroyUserSessions(user.id);
+      res.clearCookie('connect.sid');
+
+      return res.json({
+        success: true,
+        data: {
+          message: 'Account deleted',
+        },
+      });
+    }
+
+    const deleteAt = Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+    User.scheduleDeletion(user.id, deleteAt);
+    const deletionScheduledAt = new Date(deleteAt).toISOString();
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your MiniTrackingSystem account will be deleted',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          `Your account and all of your lists will be permanently deleted on ${deletionScheduledAt}.`,
+          'Changed your mind? Log in before then and cancel the deletion from your profile.',
+        ].join('\n'),
+      });
+    } catch (mailError) {
+      console.error('Deletion notice email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: `Account scheduled for deletion. Log in and cancel before ${deletionScheduledAt} to keep it.`,
+        deletionScheduledAt,
+      },
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete account',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/me/deletion
+ * Cancel a scheduled account deletion
+ * Authentication required (login session only)
+ */
+router.delete('/me/deletion', isAuthenticated, requireSession, (req, res) => {
+  try {
+    if (!User.cancelDeletion(req.session.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Your account is not scheduled for deletion',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Account deletion cancelled',
+      },
+    });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to cancel account deletion',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
+/**
+ * GET /api/users/:username
+ * Get a user's public profile and public lists
+ * Public (hidden profiles are only visible to their owner)
+ */
+router.get('/:username', (req, res) => {
+  try {
+    const profile = User.findPublicProfile(req.params.username, req.session?.userId ?? null);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'User not found',
+          code: 'NOT_FOUND',
+        },
+      });
+    }
+
+    const lists = List.getPublicByUser(profile.id);
+
+    res.json({
+      success: true,
+      data: {
+        profile,
+        statistics: {
+          publicLists: lists.length,
+          totalMiniatures: lists.reduce((sum, list) => sum + list.totalMiniatures, 0),
+          paintedMiniatures: lists.reduce((sum, list) => sum + list.paintedMiniatures, 0),
+        },
+        lists,
+      },
+    });
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get user profile',
+        code: 'INTERNAL_ERROR',
+      },
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,157 @@
+// scripts/mockOidcProvider.js
+// A tiny OpenID Connect provider for trying out external login locally.
+// It signs in whoever you type into its form - never expose it publicly.
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'minitracker';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+
+// Signing key, regenerated on every start
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes and access tokens (in memory only)
+const codes = new Map();
+const accessTokens = new Map();
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Sign a JWT with the mock provider's RSA key
+ * @param {Object} claims - Token claims
+ * @returns {string} Compact JWT
+ */
+function signJwt(claims) {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login form: the request parameters ride along as hidden fields
+app.get('/authorize', (req, res) => {
+  if (req.query.client_id !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!DOCTYPE html>
+<title>Mock identity provider</title>
+<h1>Mock identity provider</h1>
+<form method="post" action="/authorize">
+  ${hidden}
+  <p><label>Subject <input name="sub" value="mock-user-1" required></label></p>
+  <p><label>Email <input name="email" value="mock.user@example.com"></label></p>
+  <p><label>Username <input name="preferred_username" value="mockuser"></label></p>
+  <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+  <button type="submit">Sign in</button>
+  <button type="submit" name="deny" value="1">Deny</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, deny } = req.body;
+  const target = new URL(redirectUri);
+
+  if (deny) {
+    target.searchParams.set('error', 'access_denied');
+  } else {
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, {
+      redirectUri,
+      nonce,
+      codeChallenge: req.body.code_challenge,
+      claims: {
+        sub: req.body.sub,
+        email: req.body.email || undefined,
+        email_verified: req.body.email_verified === 'true',
+        preferred_username: req.body.preferred_username || undefined,
+      },
+    });
+    target.searchParams.set('code', code);
+  }
+
+  target.searchParams.set('state', state);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const challenge = crypto
+    .createHash('sha256')
+    .update(req.body.code_verifier || '')
+    .digest('base64url');
+
+  if (req.body.client_id !== CLIENT_ID || req.body.client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (!grant || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(16).toString('base64url');
+  accessTokens.set(accessToken, grant.claims);
+
+  res.json({
+    token_type: 'Bearer',
+    access_token: accessToken,
+    expires_in: 3600,
+    id_token: signJwt({ iss: ISSUER, aud: CLIENT_ID, iat: now, exp: now + 3600, nonce: grant.nonce, ...grant.claims }),
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const claims = accessTokens.get(token);
+
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+  console.log('Add to .env:');
+  console.log('  OIDC_PROVIDERS=mock');
+  console.log(`  OIDC_MOCK_ISSUER=${ISSUER}`);
+  console.log(`  OIDC_MOCK_CLIENT_ID=${CLIENT_ID}`);
+  console.log(`  OIDC_MOCK_CLIENT_SECRET=${CLIENT_SECRET}`);
+});
@@ -3,6 +3,11 @@ require('dotenv').config(); // Load environment variables
 const express = require('express');
 const session = require('express-session');
 const path = require('path');
+const SQLiteStore = require('./config/sessionStore');
+const { scheduleBackups } = require('./config/backup');
+const User = require('./models/User');
+const { sessionUnlessBearer, authenticateToken } = require('./middleware/auth');
+const { csrfProtection } = require('./middleware/csrf');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,6 +16,11 @@ const PORT = process.env.PORT || 3000;
 // MIDDLEWARE
 // ============================================
 
+// Behind a reverse proxy, trust it for the client IP (used by login throttling)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Parse JSON request bodies
 app.use(express.json());
 
@@ -20,20 +30,30 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files from 'public' folder
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Session configuration
+// Session configuration (persisted in SQLite so logins survive restarts)
 app.use(
-  session({
-    secret: process.env.SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-      secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-      httpOnly: true, // Prevent XSS attacks
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    },
-  })
+  sessionUnlessBearer(
+    session({
+      store: new SQLiteStore(),
+      secret: process.env.SESSION_SECRET,
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+        secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+        httpOnly: true, // Prevent XSS attacks
+        sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax', // Not sent on cross-site POSTs
+        maxAge: 24 * 60 * 60 * 1000, // 24 hours
+      },
+    })
+  )
 );
 
+// API token authentication (Authorization: Bearer)
+app.use(authenticateToken);
+
+// CSRF tokens for cookie-authenticated state changes
+app.use(csrfProtection);
+
 // ============================================
 // ROUTES
 // ============================================
@@ -49,15 +69,20 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/oidc', require('./routes/oidc'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/factions', require('./routes/factions'));
 app.use('/api/unit-types', require('./routes/unitTypes'));
 app.use('/api/miniatures', require('./routes/miniatures'));
 app.use('/api/lists', require('./routes/lists'));
+app.use('/api/lists', require('./routes/collaborators')); // /api/lists/:id/collaborators
+app.use('/api/shared', require('./routes/shared'));
+app.use('/api/folders', require('./routes/folders'));
 app.use('/api/list-items', require('./routes/listItems'));
 app.use('/api/list-items', require('./routes/metadata')); // GET/POST /api/list-items/:id/metadata
 app.use('/api/metadata', require('./routes/metadata')); // DELETE /api/metadata/:id
+app.use('/api/admin', require('./routes/admin'));
 
 // ============================================
 // ERROR HANDLING
@@ -83,11 +108,52 @@ app.use((err, req, res, _next) => {
   });
 });
 
+// ============================================
+// ACCOUNT DELETION
+// ============================================
+
+// Purge accounts whose deletion grace period is over
+function purgeDeletedAccounts() {
+  try {
+    User.getDueDeletions().forEach((userId) => {
+      const user = User.findById(userId);
+
+      // Never purge the last admin who can log in
+      if (user.isAdmin && !user.isDisabled && User.countActiveAdmins() <= 1) {
+        console.warn(`Skipping scheduled deletion of ${user.username}: last active admin`);
+        return;
+      }
+
+      User.delete(userId);
+      SQLiteStore.destroyUserSessions(userId);
+      console.log(`Purged deleted account ${user.username}`);
+    });
+  } catch (error) {
+    console.error('Account purge error:', error);
+  }
+}
+
 // ============================================
 // START SERVER
 // ============================================
 
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV}`);
-});
+// Only listen when run directly; the tests start the app on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server is running on http://localhost:${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV}`);
+
+    // Check for accounts to purge now and every hour
+    purgeDeletedAccounts();
+    setInterval(purgeDeletedAccounts, 60 * 60 * 1000).unref();
+
+    // Scheduled snapshots (disabled unless BACKUP_INTERVAL_HOURS is set)
+    const backupIntervalHours = parseFloat(process.env.BACKUP_INTERVAL_HOURS);
+    if (backupIntervalHours > 0) {
+      scheduleBackups(backupIntervalHours);
+      console.log(`Database backups scheduled every ${backupIntervalHours} hour(s)`);
+    }
+  });
+}
+
+module.exports = app;
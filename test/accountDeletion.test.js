@@ -0,0 +1,65 @@
+// test/accountDeletion.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const User = require('../models/User');
+
+describe('account self-deletion', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('asks for the password and can be cancelled during the grace period', async () => {
+    await createUser('alice');
+    const alice = server.client();
+    await alice.login('alice');
+
+    assert.equal((await alice.delete('/api/users/me')).status, 400);
+    assert.equal((await alice.delete('/api/users/me', { password: 'wrong-password' })).status, 401);
+
+    const response = await alice.delete('/api/users/me', { password: 'password123' });
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.deletionScheduledAt);
+
+    assert.equal((await alice.delete('/api/users/me/deletion')).status, 200);
+    assert.equal((await alice.get('/api/users/me')).body.data.deletionScheduledAt, null);
+  });
+
+  it('needs no password from an account created by an external login', async () => {
+    // Same as an OIDC signup: the random password is never shown to anyone
+    await User.create({
+      username: 'oidc-user',
+      email: 'oidc@example.com',
+      password: 'random-secret',
+      hasPassword: false,
+    });
+    const client = server.client();
+    await client.login('oidc-user', 'random-secret');
+
+    assert.equal((await client.get('/api/users/me')).body.data.hasPassword, false);
+
+    const response = await client.delete('/api/users/me');
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.deletionScheduledAt);
+  });
+
+  it('asks for the password again once the account has set one', async () => {
+    const user = await User.create({
+      username: 'reset-user',
+      email: 'reset@example.com',
+      password: 'x',
+      hasPassword: false,
+    });
+    await User.updatePassword(user.id, 'password123');
+
+    const client = server.client();
+    await client.login('reset-user');
+
+    assert.equal((await client.get('/api/users/me')).body.data.hasPassword, true);
+    assert.equal((await client.delete('/api/users/me')).status, 400);
+  });
+});
@@ -0,0 +1,103 @@
+// test/adminUsers.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+describe('admin user management', () => {
+  let server;
+  let admin;
+  let adminUser;
+
+  before(async () => {
+    server = await startServer();
+    adminUser = await createUser('admin', { admin: true });
+    await createUser('alice');
+    await createUser('bob');
+    await createUser('under_score');
+
+    admin = server.client();
+    await admin.login('admin');
+  });
+
+  after(() => server.close());
+
+  const usernames = (response) => response.body.data.users.map((user) => user.username);
+
+  it('is closed to regular users', async () => {
+    const alice = server.client();
+    await alice.login('alice');
+
+    const response = await alice.get('/api/admin/users');
+    assert.equal(response.status, 403);
+  });
+
+  it('pages through users', async () => {
+    const first = await admin.get('/api/admin/users?limit=2');
+    assert.deepEqual(usernames(first), ['admin', 'alice']);
+    assert.equal(first.body.data.total, 4);
+    assert.equal(first.body.data.hasMore, true);
+
+    const last = await admin.get('/api/admin/users?limit=2&offset=2');
+    assert.deepEqual(usernames(last), ['bob', 'under_score']);
+    assert.equal(last.body.data.hasMore, false);
+  });
+
+  it('rejects limits and offsets that are not whole numbers in range', async () => {
+    const cases = [
+      ['limit=-1', 'limit'],
+      ['limit=0', 'limit'],
+      ['limit=abc', 'limit'],
+      ['limit=2.5', 'limit'],
+      ['limit=101', 'limit'],
+      ['offset=-1', 'offset'],
+      ['offset=abc', 'offset'],
+      ['search=a&search=b', 'search'],
+    ];
+
+    for (const [query, field] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await admin.get(`/api/admin/users?${query}`);
+      assert.equal(response.status, 400, query);
+      assert.equal(response.body.error.code, 'VALIDATION_ERROR', query);
+      assert.equal(response.body.error.field, field, query);
+    }
+  });
+
+  it('matches % and _ in a search literally', async () => {
+    assert.deepEqual(usernames(await admin.get('/api/admin/users?search=_')), ['under_score']);
+    assert.deepEqual(usernames(await admin.get('/api/admin/users?search=%25')), []);
+    assert.deepEqual(usernames(await admin.get('/api/admin/users?search=ALI')), ['alice']);
+  });
+
+  it('will not demote the last admin', async () => {
+    const response = await admin.put(`/api/admin/users/${adminUser.id}/admin`, { isAdmin: false });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error.code, 'LAST_ADMIN');
+  });
+
+  it('blocks logins to disabled accounts', async () => {
+    const { body } = await admin.get('/api/admin/users?search=bob');
+    const [bob] = body.data.users;
+
+    assert.equal((await admin.put(`/api/admin/users/${bob.id}/status`, { disabled: true })).status, 200);
+
+    const login = await server.client().post('/api/auth/login', { username: 'bob', password: 'password123' });
+    assert.equal(login.status, 403);
+    assert.equal(login.body.error.code, 'ACCOUNT_DISABLED');
+
+    assert.equal((await admin.put(`/api/admin/users/${bob.id}/status`, { disabled: false })).status, 200);
+  });
+
+  it('deletes a user only once the username is confirmed', async () => {
+    const { body } = await admin.get('/api/admin/users?search=under');
+    const [user] = body.data.users;
+
+    const unconfirmed = await admin.delete(`/api/admin/users/${user.id}`);
+    assert.equal(unconfirmed.status, 400);
+    assert.equal(unconfirmed.body.error.code, 'CONFIRMATION_REQUIRED');
+
+    const confirmed = await admin.delete(`/api/admin/users/${user.id}`, { confirm: 'under_score' });
+    assert.equal(confirmed.status, 200);
+    assert.equal((await admin.get(`/api/admin/users/${user.id}`)).status, 404);
+  });
+});
@@ -0,0 +1,106 @@
+// test/apiTokens.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+describe('personal API tokens', () => {
+  let server;
+  let alice;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('alice');
+    await createUser('bob');
+
+    alice = server.client();
+    await alice.login('alice');
+  });
+
+  after(() => server.close());
+
+  /**
+   * Create a token for alice
+   * @param {string} scope - Token scope
+   * @returns {Promise<Object>} Created token
+   */
+  async function createToken(scope) {
+    const response = await alice.post('/api/users/me/tokens', { name: `${scope} token`, scope });
+    assert.equal(response.status, 201);
+    return response.body.data;
+  }
+
+  it('shows the token once and lists only its prefix afterwards', async () => {
+    const token = await createToken('read');
+    assert.match(token.token, new RegExp(`^${token.prefix}`));
+
+    const { body } = await alice.get('/api/users/me/tokens');
+    const listed = body.data.find((item) => item.id === token.id);
+    assert.equal(listed.prefix, token.prefix);
+    assert.equal(listed.token, undefined);
+  });
+
+  it('rejects an unknown scope', async () => {
+    const response = await alice.post('/api/users/me/tokens', { name: 'bad', scope: 'admin' });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.field, 'scope');
+  });
+
+  it('authenticates bearer requests as the token owner without a session cookie', async () => {
+    const { token } = await createToken('read');
+    const response = await server.client({ bearer: token }).get('/api/users/me');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.username, 'alice');
+    assert.deepEqual(response.headers.getSetCookie(), []);
+  });
+
+  it('keeps read tokens to read-only methods', async () => {
+    const { token } = await createToken('read');
+    const response = await server.client({ bearer: token }).post('/api/lists', { name: 'From a script' });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error.code, 'INSUFFICIENT_SCOPE');
+  });
+
+  it('lets read-write tokens change data without a CSRF token', async () => {
+    const { token } = await createToken('read-write');
+    const response = await server.client({ bearer: token }).post('/api/lists', { name: 'From a script' });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.name, 'From a script');
+  });
+
+  it('does not let a token manage tokens', async () => {
+    const { token } = await createToken('read-write');
+    const client = server.client({ bearer: token });
+
+    const list = await client.get('/api/users/me/tokens');
+    assert.equal(list.status, 403);
+    assert.equal(list.body.error.code, 'SESSION_REQUIRED');
+
+    const create = await client.post('/api/users/me/tokens', { name: 'another' });
+    assert.equal(create.status, 403);
+  });
+
+  it('rejects unknown and revoked tokens', async () => {
+    const unknown = await server.client({ bearer: 'mts_not-a-real-token' }).get('/api/users/me');
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.error.code, 'INVALID_TOKEN');
+
+    const { id, token } = await createToken('read');
+    assert.equal((await alice.delete(`/api/users/me/tokens/${id}`)).status, 200);
+
+    const revoked = await server.client({ bearer: token }).get('/api/users/me');
+    assert.equal(revoked.status, 401);
+  });
+
+  it("does not let users revoke someone else's token", async () => {
+    const { id } = await createToken('read');
+
+    const bob = server.client();
+    await bob.login('bob');
+    const response = await bob.delete(`/api/users/me/tokens/${id}`);
+
+    assert.equal(response.status, 404);
+  });
+});
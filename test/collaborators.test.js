@@ -0,0 +1,99 @@
+// test/collaborators.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const Faction = require('../models/Faction');
+const UnitType = require('../models/UnitType');
+const Miniature = require('../models/Miniature');
+
+describe('list collaborators', () => {
+  let server;
+  let owner;
+  let viewer;
+  let editor;
+  let stranger;
+  let listId;
+  let miniatureId;
+
+  before(async () => {
+    server = await startServer();
+    await Promise.all(['owner', 'viewer', 'editor', 'stranger'].map((username) => createUser(username)));
+
+    [owner, viewer, editor, stranger] = await Promise.all(
+      ['owner', 'viewer', 'editor', 'stranger'].map(async (username) => {
+        const client = server.client();
+        await client.login(username);
+        return client;
+      })
+    );
+
+    const faction = Faction.create({ name: 'Necrons' });
+    const unitType = UnitType.create({ name: 'Troops' });
+    miniatureId = Miniature.create({ name: 'Warriors', factionId: faction.id, unitTypeId: unitType.id }).id;
+
+    const { body } = await owner.post('/api/lists', { name: 'Private army', visibility: 'private' });
+    listId = body.data.id;
+  });
+
+  after(() => server.close());
+
+  const share = (username, role) => owner.post(`/api/lists/${listId}/collaborators`, { username, role });
+  const addItem = (client) => client.post(`/api/lists/${listId}/items`, { miniatureId });
+
+  it('keeps a private list from everyone it is not shared with', async () => {
+    assert.equal((await stranger.get(`/api/lists/${listId}`)).status, 403);
+    assert.equal((await stranger.get(`/api/lists/${listId}/collaborators`)).status, 404);
+  });
+
+  it('only shares with known users, with a valid role, once', async () => {
+    assert.equal((await share('viewer', 'admin')).status, 400);
+    assert.equal((await share('nobody', 'viewer')).status, 404);
+
+    assert.equal((await share('viewer', 'viewer')).status, 201);
+    assert.equal((await share('editor', 'editor')).status, 201);
+
+    const duplicate = await share('viewer', 'editor');
+    assert.equal(duplicate.status, 409);
+  });
+
+  it('lets viewers see the list but not change it', async () => {
+    const { status, body } = await viewer.get(`/api/lists/${listId}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.role, 'viewer');
+
+    assert.equal((await addItem(viewer)).status, 403);
+  });
+
+  it('lets editors change items but not the list itself', async () => {
+    assert.equal((await addItem(editor)).status, 201);
+
+    assert.equal((await editor.put(`/api/lists/${listId}`, { name: 'Renamed' })).status, 403);
+    assert.equal((await editor.post(`/api/lists/${listId}/collaborators`, { username: 'stranger' })).status, 403);
+  });
+
+  it('lists the lists shared with you and your role on each', async () => {
+    const { body } = await viewer.get('/api/lists?shared=true');
+    assert.deepEqual(
+      body.data.lists.map((list) => [list.id, list.role]),
+      [[listId, 'viewer']]
+    );
+  });
+
+  it('applies a role change at once', async () => {
+    assert.equal((await owner.put(`/api/lists/${listId}/collaborators/viewer`, { role: 'editor' })).status, 200);
+    assert.equal((await addItem(viewer)).status, 201);
+
+    assert.equal((await owner.put(`/api/lists/${listId}/collaborators/viewer`, { role: 'viewer' })).status, 200);
+    assert.equal((await addItem(viewer)).status, 403);
+  });
+
+  it('lets collaborators leave, and only the owner remove others', async () => {
+    assert.equal((await viewer.delete(`/api/lists/${listId}/collaborators/editor`)).status, 403);
+
+    assert.equal((await viewer.delete(`/api/lists/${listId}/collaborators/viewer`)).status, 200);
+    assert.equal((await viewer.get(`/api/lists/${listId}`)).status, 403);
+
+    assert.equal((await owner.delete(`/api/lists/${listId}/collaborators/editor`)).status, 200);
+    assert.equal((await addItem(editor)).status, 403);
+  });
+});
@@ -0,0 +1,66 @@
+// test/csrf.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+describe('CSRF protection', () => {
+  let server;
+  let alice;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('alice');
+    await createUser('bob');
+
+    alice = server.client();
+    await alice.login('alice');
+  });
+
+  after(() => server.close());
+
+  const createList = (client, headers) => client.post('/api/lists', { name: 'My list' }, headers);
+
+  it('rejects cookie-authenticated writes without a token', async () => {
+    const response = await createList(alice, { 'X-CSRF-Token': '' });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error.code, 'CSRF_TOKEN_INVALID');
+  });
+
+  it('rejects a wrong token', async () => {
+    const response = await createList(alice, { 'X-CSRF-Token': 'not-the-token' });
+    assert.equal(response.status, 403);
+  });
+
+  it("rejects another session's token", async () => {
+    const bob = server.client();
+    await bob.login('bob');
+
+    const response = await createList(alice, { 'X-CSRF-Token': bob.csrfToken });
+    assert.equal(response.status, 403);
+  });
+
+  it("accepts the session's token as a header or a _csrf form field", async () => {
+    assert.equal((await createList(alice)).status, 201);
+
+    const form = await fetch(`${server.baseUrl}/api/lists`, {
+      method: 'POST',
+      headers: { Cookie: alice.cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ name: 'From a form', _csrf: alice.csrfToken }),
+    });
+    assert.equal(form.status, 201);
+  });
+
+  it('needs no token to read', async () => {
+    const response = await alice.get('/api/lists', { 'X-CSRF-Token': '' });
+    assert.equal(response.status, 200);
+  });
+
+  it('sets an HttpOnly SameSite session cookie', async () => {
+    const response = await server.client().get('/api/auth/csrf-token');
+    const [cookie] = response.headers.getSetCookie();
+
+    assert.match(cookie, /^connect\.sid=/);
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /SameSite=Lax/);
+  });
+});
@@ -0,0 +1,182 @@
+// test/helpers.js
+// Shared setup for the request-level tests. Each test file runs in its own process,
+// so each gets its own throwaway database; require this file before anything that
+// touches config/database.js.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'minitracker-test-'));
+
+process.env.DB_PATH = path.join(TEST_DIR, 'test.db');
+process.env.MAIL_OUTBOX_DIR = path.join(TEST_DIR, 'outbox');
+process.env.BACKUP_DIR = path.join(TEST_DIR, 'backups');
+process.env.SESSION_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'outbox';
+
+const { closeDatabase } = require('../config/database');
+const { migrateUp } = require('../database/migrations/runMigrations');
+const User = require('../models/User');
+
+// Methods the CSRF middleware lets through without a token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * HTTP client with its own cookie jar, like one browser talking to the app.
+ * Sends the session's CSRF token with every state-changing request.
+ */
+class TestClient {
+  /**
+   * @param {string} baseUrl - Server URL (e.g. http://127.0.0.1:1234)
+   * @param {Object} options - { bearer } to authenticate with an API token instead of cookies
+   */
+  constructor(baseUrl, options = {}) {
+    this.baseUrl = baseUrl;
+    this.bearer = options.bearer || null;
+    this.cookie = null;
+    this.csrfToken = null;
+  }
+
+  /**
+   * Send a request
+   * @param {string} method - HTTP method
+   * @param {string} url - Path starting with /
+   * @param {Object} body - JSON body (optional)
+   * @param {Object} headers - Extra headers (optional)
+   * @returns {Promise<Object>} { status, headers, body } with body parsed as JSON when it is JSON
+   */
+  async request(method, url, body, headers = {}) {
+    const requestHeaders = { ...headers };
+
+    if (this.bearer) {
+      requestHeaders.Authorization = `Bearer ${this.bearer}`;
+    } else {
+      if (!SAFE_METHODS.includes(method) && !this.csrfToken && headers['X-CSRF-Token'] === undefined) {
+        const { body: csrf } = await this.get('/api/auth/csrf-token');
+        this.csrfToken = csrf.data.csrfToken;
+      }
+      if (this.csrfToken && headers['X-CSRF-Token'] === undefined) {
+        requestHeaders['X-CSRF-Token'] = this.csrfToken;
+      }
+      if (this.cookie) {
+        requestHeaders.Cookie = this.cookie;
+      }
+    }
+
+    if (body !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(`${this.baseUrl}${url}`, {
+      method,
+      headers: requestHeaders,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: 'manual',
+    });
+
+    const sessionCookie = response.headers.getSetCookie().find((cookie) => cookie.startsWith('connect.sid='));
+    if (sessionCookie) {
+      [this.cookie] = sessionCookie.split(';');
+    }
+
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson && text ? JSON.parse(text) : text,
+    };
+  }
+
+  get(url, headers) {
+    return this.request('GET', url, undefined, headers);
+  }
+
+  post(url, body, headers) {
+    return this.request('POST', url, body ?? {}, headers);
+  }
+
+  put(url, body, headers) {
+    return this.request('PUT', url, body ?? {}, headers);
+  }
+
+  delete(url, body, headers) {
+    return this.request('DELETE', url, body, headers);
+  }
+
+  /**
+   * Log in, failing loudly if the credentials are refused
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Login response
+   */
+  async login(username, password = 'password123') {
+    const response = await this.post('/api/auth/login', { username, password });
+    if (response.status !== 200) {
+      throw new Error(`Login as ${username} failed with ${response.status}: ${JSON.stringify(response.body)}`);
+    }
+    return response;
+  }
+}
+
+/**
+ * Close the database and delete this test file's directory
+ */
+function removeTestDatabase() {
+  closeDatabase();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Migrate a fresh database and start the app on a random port
+ * @returns {Promise<Object>} { baseUrl, client(options), close() }
+ */
+async function startServer() {
+  migrateUp();
+
+  // eslint-disable-next-line global-require
+  const app = require('../server');
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    client: (options) => new TestClient(baseUrl, options),
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => {
+        server.close(resolve);
+      });
+      removeTestDatabase();
+    },
+  };
+}
+
+/**
+ * Create an account straight in the database
+ * @param {string} username - Username (the email is derived from it)
+ * @param {Object} options - { password, admin }
+ * @returns {Promise<Object>} Created user
+ */
+async function createUser(username, options = {}) {
+  const { password = 'password123', admin = false } = options;
+  const user = await User.create({ username, email: `${username}@example.com`, password });
+
+  if (admin) {
+    User.setAdmin(user.id, true);
+  }
+
+  return user;
+}
+
+module.exports = {
+  TEST_DIR,
+  TestClient,
+  removeTestDatabase,
+  startServer,
+  createUser,
+};
@@ -0,0 +1,120 @@
+// test/listItems.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const Faction = require('../models/Faction');
+const UnitType = require('../models/UnitType');
+const Miniature = require('../models/Miniature');
+
+describe('list item filters', () => {
+  let server;
+  let owner;
+  let listId;
+  let orks;
+  let troops;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('owner');
+    await createUser('stranger');
+
+    owner = server.client();
+    await owner.login('owner');
+
+    orks = Faction.create({ name: 'Orks' });
+    const necrons = Faction.create({ name: 'Necrons' });
+    troops = UnitType.create({ name: 'Troops' });
+    const hq = UnitType.create({ name: 'HQ' });
+
+    const boyz = Miniature.create({ name: 'Boyz', factionId: orks.id, unitTypeId: troops.id, pointsValue: 85 });
+    const warboss = Miniature.create({ name: 'Warboss', factionId: orks.id, unitTypeId: hq.id, pointsValue: 70 });
+    const warriors = Miniature.create({
+      name: 'Warriors',
+      factionId: necrons.id,
+      unitTypeId: troops.id,
+      pointsValue: 90,
+    });
+
+    const { body } = await owner.post('/api/lists', { name: 'Collection' });
+    listId = body.data.id;
+
+    const items = [
+      { miniatureId: boyz.id, paintingStatus: 'Finished', assemblyStatus: 'Assembled', notes: 'Painted 100% by hand' },
+      { miniatureId: warboss.id, paintingStatus: 'Primed', assemblyStatus: 'Assembled', notes: 'Magnetised arm' },
+      { miniatureId: warriors.id, paintingStatus: 'Unpainted', assemblyStatus: 'Not Started', notes: 'Still on sprue' },
+    ];
+    for (const item of items) {
+      // eslint-disable-next-line no-await-in-loop
+      assert.equal((await owner.post(`/api/lists/${listId}/items`, item)).status, 201);
+    }
+  });
+
+  after(() => server.close());
+
+  const getItems = (query, client = owner) => client.get(`/api/lists/${listId}/items?${query}`);
+  const names = (response) => response.body.data.items.map((item) => item.miniatureName);
+
+  it('filters by faction and unit type', async () => {
+    assert.deepEqual(names(await getItems(`faction=${orks.id}&sort=name`)), ['Boyz', 'Warboss']);
+    assert.deepEqual(names(await getItems(`faction=${orks.id}&unitType=${troops.id}`)), ['Boyz']);
+  });
+
+  it('filters by one or more statuses', async () => {
+    assert.deepEqual(names(await getItems('paintingStatus=Primed')), ['Warboss']);
+    assert.deepEqual(names(await getItems('assemblyStatus=Assembled,Not%20Started&sort=name')), [
+      'Boyz',
+      'Warboss',
+      'Warriors',
+    ]);
+  });
+
+  it('matches notes case-insensitively, with % and _ taken literally', async () => {
+    assert.deepEqual(names(await getItems('notes=MAGNET')), ['Warboss']);
+    assert.deepEqual(names(await getItems('notes=100%25')), ['Boyz']);
+    assert.deepEqual(names(await getItems('notes=%25')), ['Boyz']);
+    assert.deepEqual(names(await getItems('notes=_')), []);
+  });
+
+  it('sorts and pages, with statistics for the whole list', async () => {
+    const response = await getItems('sort=-points&limit=2');
+    assert.deepEqual(names(response), ['Warriors', 'Boyz']);
+    assert.equal(response.body.data.total, 3);
+    assert.equal(response.body.data.hasMore, true);
+    assert.equal(response.body.data.statistics.totalItems, 3);
+
+    assert.deepEqual(names(await getItems('sort=-points&limit=2&offset=2')), ['Warboss']);
+  });
+
+  it('rejects invalid filters with a 400 naming the parameter', async () => {
+    const cases = [
+      ['faction=abc', 'faction'],
+      ['unitType=1.5', 'unitType'],
+      ['paintingStatus=Shiny', 'paintingStatus'],
+      ['sort=colour', 'sort'],
+      ['limit=0', 'limit'],
+      ['limit=abc', 'limit'],
+      ['limit=101', 'limit'],
+      ['offset=-1', 'offset'],
+      ['notes=a&notes=b', 'notes'],
+      ['faction=1&faction=2', 'faction'],
+      ['limit=5&limit=10', 'limit'],
+      ['paintingStatus=Primed&paintingStatus=Finished', 'paintingStatus'],
+    ];
+
+    for (const [query, field] of cases) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await getItems(query);
+      assert.equal(response.status, 400, query);
+      assert.equal(response.body.error.code, 'VALIDATION_ERROR', query);
+      assert.equal(response.body.error.field, field, query);
+    }
+  });
+
+  it('follows the same access rules as the list itself', async () => {
+    const stranger = server.client();
+    await stranger.login('stranger');
+
+    assert.equal((await getItems('', stranger)).status, 403);
+    assert.equal((await server.client().get('/api/lists/999/items')).status, 404);
+  });
+});
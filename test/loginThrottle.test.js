@@ -0,0 +1,102 @@
+// test/loginThrottle.test.js
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { get, run } = require('../config/database');
+const LoginThrottle = require('../models/LoginThrottle');
+
+describe('login throttling', () => {
+  let server;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('admin', { admin: true });
+    await createUser('alice');
+    await createUser('mallory');
+
+    admin = server.client();
+    await admin.login('admin');
+  });
+
+  beforeEach(() => {
+    run('DELETE FROM login_throttles');
+  });
+
+  after(() => server.close());
+
+  const attempt = (username, password) => server.client().post('/api/auth/login', { username, password });
+
+  /**
+   * Get the throttle key the server uses for this machine's IP
+   * @returns {Promise<string>} IP throttle key
+   */
+  async function ipKey() {
+    await attempt('nobody', 'wrong-password');
+    const { key } = get("SELECT key FROM login_throttles WHERE key LIKE 'ip:%'");
+    run('DELETE FROM login_throttles');
+    return key;
+  }
+
+  const failuresFor = (key) => get('SELECT failures FROM login_throttles WHERE key = ?', [key])?.failures ?? 0;
+
+  it('backs off after the free attempts with a 429 and Retry-After', async () => {
+    const { freeAttempts } = LoginThrottle.POLICIES.account;
+
+    for (let i = 0; i <= freeAttempts; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      assert.equal((await attempt('alice', 'wrong-password')).status, 401);
+    }
+
+    const blocked = await attempt('alice', 'password123');
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.error.code, 'TOO_MANY_ATTEMPTS');
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+  });
+
+  it('locks the account after repeated failures until an admin unlocks it', async () => {
+    const key = LoginThrottle.accountKey('alice');
+    for (let i = 0; i < LoginThrottle.POLICIES.account.lockoutAfter; i += 1) {
+      LoginThrottle.recordFailure(key);
+    }
+
+    const locked = await attempt('alice', 'password123');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.error.code, 'ACCOUNT_LOCKED');
+
+    const { body } = await admin.get('/api/admin/lockouts');
+    assert.deepEqual(
+      body.data.map((lockout) => lockout.username),
+      ['alice']
+    );
+
+    assert.equal((await admin.delete('/api/admin/lockouts/alice')).status, 200);
+    assert.equal((await attempt('alice', 'password123')).status, 200);
+  });
+
+  it("clears the account's failures on a successful login", async () => {
+    await attempt('alice', 'wrong-password');
+    assert.equal(failuresFor(LoginThrottle.accountKey('alice')), 1);
+
+    assert.equal((await attempt('alice', 'password123')).status, 200);
+    assert.equal(failuresFor(LoginThrottle.accountKey('alice')), 0);
+  });
+
+  it("does not let logging into your own account reset the IP's back-off", async () => {
+    const key = await ipKey();
+    const { freeAttempts } = LoginThrottle.POLICIES.ip;
+
+    // Guess other people's passwords right up to the free limit...
+    for (let i = 0; i < freeAttempts; i += 1) {
+      LoginThrottle.recordFailure(key);
+    }
+
+    // ...then log into an account of your own before guessing again
+    assert.equal((await attempt('mallory', 'password123')).status, 200);
+    assert.equal(failuresFor(key), freeAttempts);
+
+    await attempt('alice', 'wrong-password');
+    const blocked = await attempt('alice', 'password123');
+    assert.equal(blocked.status, 429);
+  });
+});
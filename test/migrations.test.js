@@ -0,0 +1,75 @@
+// test/migrations.test.js
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { removeTestDatabase } = require('./helpers');
+const { getDatabase } = require('../config/database');
+const {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  discoverMigrations,
+} = require('../database/migrations/runMigrations');
+
+const states = () => getMigrationStatus().map((migration) => migration.state);
+
+describe('migration runner', () => {
+  after(removeTestDatabase);
+
+  const migrations = discoverMigrations();
+  const latest = migrations[migrations.length - 1];
+
+  it('applies every pending migration once', () => {
+    assert.deepEqual(
+      migrateUp(),
+      migrations.map((migration) => migration.version)
+    );
+    assert.deepEqual(migrateUp(), []);
+    assert.ok(states().every((state) => state === 'applied'));
+  });
+
+  it('rolls back the latest migration and re-applies it', () => {
+    assert.deepEqual(migrateDown(), [latest.version]);
+    assert.equal(getMigrationStatus().find((migration) => migration.version === latest.version).state, 'pending');
+
+    assert.deepEqual(migrateUp(), [latest.version]);
+  });
+
+  it('rolls every migration back down to an empty schema and up again', () => {
+    assert.equal(migrateDown(migrations.length).length, migrations.length);
+    assert.ok(states().every((state) => state === 'pending'));
+
+    const tables = getDatabase()
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+      .all()
+      .map((table) => table.name);
+    assert.deepEqual(tables, ['schema_migrations']);
+
+    assert.equal(migrateUp().length, migrations.length);
+  });
+
+  it('refuses to run when an applied migration has been edited', () => {
+    const db = getDatabase();
+    const { checksum } = db.prepare('SELECT checksum FROM schema_migrations WHERE version = ?').get(latest.version);
+    db.prepare('UPDATE schema_migrations SET checksum = ? WHERE version = ?').run('edited', latest.version);
+
+    try {
+      assert.equal(getMigrationStatus().find((migration) => migration.version === latest.version).state, 'modified');
+      assert.throws(() => migrateUp(), /Applied migrations have changed since they ran/);
+    } finally {
+      db.prepare('UPDATE schema_migrations SET checksum = ? WHERE version = ?').run(checksum, latest.version);
+    }
+  });
+
+  it('reports applied migrations whose file is gone and will not roll them back', () => {
+    const db = getDatabase();
+    db.prepare('INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)').run('999', 'gone', 'x');
+
+    try {
+      const missing = getMigrationStatus().find((migration) => migration.version === '999');
+      assert.equal(missing.state, 'missing');
+      assert.throws(() => migrateDown(), /migration file is missing/);
+    } finally {
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run('999');
+    }
+  });
+});
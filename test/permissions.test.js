@@ -0,0 +1,92 @@
+// test/permissions.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+describe('roles and permissions', () => {
+  let server;
+  let admin;
+  let editor;
+  let moderator;
+  let adminUser;
+  let editorUser;
+  let moderatorUser;
+
+  before(async () => {
+    server = await startServer();
+    adminUser = await createUser('admin', { admin: true });
+    editorUser = await createUser('editor');
+    moderatorUser = await createUser('moderator');
+    await createUser('alice');
+
+    admin = server.client();
+    await admin.login('admin');
+    editor = server.client();
+    await editor.login('editor');
+    moderator = server.client();
+    await moderator.login('moderator');
+  });
+
+  after(() => server.close());
+
+  let factionCount = 0;
+  const createFaction = (client) => {
+    factionCount += 1;
+    return client.post('/api/factions', { name: `Faction ${factionCount}` });
+  };
+
+  it('keeps catalog changes from users without catalog:write', async () => {
+    const response = await createFaction(editor);
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error.code, 'FORBIDDEN');
+  });
+
+  it('applies a granted role on the next request, without logging in again', async () => {
+    const grant = await admin.put(`/api/admin/users/${editorUser.id}/roles`, { roles: ['catalog_editor'] });
+    assert.equal(grant.status, 200);
+    assert.deepEqual(grant.body.data.roles, ['catalog_editor']);
+
+    assert.equal((await createFaction(editor)).status, 201);
+
+    const { body } = await editor.get('/api/auth/check');
+    assert.deepEqual(body.data.user.permissions, ['catalog:write']);
+  });
+
+  it('takes a removed role away at once', async () => {
+    await admin.put(`/api/admin/users/${editorUser.id}/roles`, { roles: [] });
+    assert.equal((await createFaction(editor)).status, 403);
+  });
+
+  it('gives admins every permission', async () => {
+    assert.equal((await createFaction(admin)).status, 201);
+    assert.equal((await admin.get('/api/admin/users')).status, 200);
+  });
+
+  it('rejects unknown roles', async () => {
+    const response = await admin.put(`/api/admin/users/${editorUser.id}/roles`, { roles: ['superuser'] });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.field, 'roles');
+  });
+
+  it('only lets admins assign roles', async () => {
+    await admin.put(`/api/admin/users/${moderatorUser.id}/roles`, { roles: ['moderator'] });
+
+    const response = await moderator.put(`/api/admin/users/${moderatorUser.id}/roles`, {
+      roles: ['moderator', 'catalog_editor'],
+    });
+    assert.equal(response.status, 403);
+  });
+
+  it('lets moderators manage regular accounts but not admin accounts', async () => {
+    assert.equal((await moderator.get('/api/admin/users')).status, 200);
+
+    const { body } = await moderator.get('/api/admin/users?search=alice');
+    const [alice] = body.data.users;
+    assert.equal((await moderator.put(`/api/admin/users/${alice.id}/status`, { disabled: true })).status, 200);
+
+    const adminTarget = await moderator.put(`/api/admin/users/${adminUser.id}/status`, { disabled: true });
+    assert.equal(adminTarget.status, 403);
+
+    assert.equal((await createFaction(moderator)).status, 403);
+  });
+});
@@ -0,0 +1,94 @@
+// test/preferences.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const Faction = require('../models/Faction');
+const UnitType = require('../models/UnitType');
+const Miniature = require('../models/Miniature');
+
+describe('user preferences', () => {
+  let server;
+  let alice;
+  let listId;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('alice');
+
+    alice = server.client();
+    await alice.login('alice');
+
+    const faction = Faction.create({ name: 'Orks' });
+    const unitType = UnitType.create({ name: 'Troops' });
+    const miniature = Miniature.create({ name: 'Boyz', factionId: faction.id, unitTypeId: unitType.id });
+
+    for (let i = 1; i <= 5; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      const { body } = await alice.post('/api/lists', { name: `List ${i}` });
+      listId = body.data.id;
+    }
+    for (let i = 1; i <= 5; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await alice.post(`/api/lists/${listId}/items`, { miniatureId: miniature.id });
+    }
+  });
+
+  after(() => server.close());
+
+  const setPreferences = (preferences) => alice.put('/api/users/me/preferences', preferences);
+
+  it('fills in defaults', async () => {
+    const { body } = await alice.get('/api/users/me/preferences');
+    assert.deepEqual(body.data, {
+      defaultListVisibility: 'private',
+      currency: 'USD',
+      dateFormat: 'YYYY-MM-DD',
+      itemSort: '-added',
+      pageSize: 20,
+    });
+  });
+
+  it('stores a date format from the allowed list', async () => {
+    const saved = await setPreferences({ dateFormat: 'DD/MM/YYYY' });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.data.dateFormat, 'DD/MM/YYYY');
+    assert.equal((await alice.get('/api/users/me/preferences')).body.data.dateFormat, 'DD/MM/YYYY');
+
+    const invalid = await setPreferences({ dateFormat: 'YYYY/DD/MM' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.field, 'dateFormat');
+  });
+
+  it('pages your own lists by your page size', async () => {
+    assert.equal((await alice.get('/api/lists')).body.data.lists.length, 5);
+
+    await setPreferences({ pageSize: 2 });
+    const { body } = await alice.get('/api/lists');
+    assert.equal(body.data.lists.length, 2);
+    assert.equal(body.data.total, 5);
+    assert.equal(body.data.hasMore, true);
+
+    const lastPage = await alice.get('/api/lists?page=3');
+    assert.equal(lastPage.body.data.lists.length, 1);
+    assert.equal(lastPage.body.data.hasMore, false);
+
+    assert.equal((await alice.get('/api/lists?limit=4')).body.data.lists.length, 4);
+  });
+
+  it("pages a list's items by your page size", async () => {
+    await setPreferences({ pageSize: 3 });
+    const { body } = await alice.get(`/api/lists/${listId}/items`);
+    assert.equal(body.data.items.length, 3);
+    assert.equal(body.data.total, 5);
+
+    await setPreferences({ pageSize: null });
+    assert.equal((await alice.get(`/api/lists/${listId}/items`)).body.data.items.length, 5);
+  });
+
+  it('rejects list pages that are not whole numbers in range', async () => {
+    for (const query of ['page=0', 'page=abc', 'limit=0', 'limit=-1', 'limit=101']) {
+      // eslint-disable-next-line no-await-in-loop
+      assert.equal((await alice.get(`/api/lists?${query}`)).status, 400, query);
+    }
+  });
+});
@@ -0,0 +1,76 @@
+// test/shareLinks.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+
+describe('unlisted lists and share links', () => {
+  let server;
+  let owner;
+  let anonymous;
+  let listId;
+  let shareToken;
+
+  before(async () => {
+    server = await startServer();
+    await createUser('owner');
+    await createUser('stranger');
+
+    owner = server.client();
+    await owner.login('owner');
+    anonymous = server.client();
+
+    const { body } = await owner.post('/api/lists', { name: 'Work in progress', visibility: 'unlisted' });
+    listId = body.data.id;
+    shareToken = body.data.shareToken;
+  });
+
+  after(() => server.close());
+
+  it('opens an unlisted list through its share link without logging in', async () => {
+    assert.ok(shareToken);
+
+    const { status, body } = await anonymous.get(`/api/shared/${shareToken}`);
+    assert.equal(status, 200);
+    assert.equal(body.data.list.name, 'Work in progress');
+    assert.equal(body.data.list.shareToken, undefined);
+    assert.equal(body.data.role, null);
+  });
+
+  it('keeps unlisted lists private everywhere else', async () => {
+    assert.equal((await anonymous.get(`/api/lists/${listId}`)).status, 403);
+
+    const stranger = server.client();
+    await stranger.login('stranger');
+    assert.equal((await stranger.get(`/api/lists/${listId}`)).status, 403);
+
+    const { body } = await anonymous.get('/api/lists');
+    assert.equal(body.data.total, 0);
+
+    const profile = await anonymous.get('/api/users/owner');
+    assert.deepEqual(profile.body.data.lists, []);
+  });
+
+  it('stops the old link working when the token is rotated', async () => {
+    const { body } = await owner.post(`/api/lists/${listId}/share-token`);
+    assert.notEqual(body.data.shareToken, shareToken);
+
+    assert.equal((await anonymous.get(`/api/shared/${shareToken}`)).status, 404);
+    assert.equal((await anonymous.get(`/api/shared/${body.data.shareToken}`)).status, 200);
+    shareToken = body.data.shareToken;
+  });
+
+  it('only lets the owner manage the link', async () => {
+    const stranger = server.client();
+    await stranger.login('stranger');
+
+    assert.equal((await stranger.post(`/api/lists/${listId}/share-token`)).status, 403);
+    assert.equal((await stranger.delete(`/api/lists/${listId}/share-token`)).status, 403);
+  });
+
+  it('makes the list private when the link is revoked', async () => {
+    assert.equal((await owner.delete(`/api/lists/${listId}/share-token`)).status, 200);
+
+    assert.equal((await anonymous.get(`/api/shared/${shareToken}`)).status, 404);
+    assert.equal((await owner.get(`/api/lists/${listId}`)).body.data.list.visibility, 'private');
+  });
+});
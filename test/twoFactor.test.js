@@ -0,0 +1,121 @@
+// test/twoFactor.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createUser } = require('./helpers');
+const { get, run } = require('../config/database');
+const TwoFactor = require('../models/TwoFactor');
+
+describe('two-factor authentication', () => {
+  let server;
+  let alice;
+  let secret;
+  let recoveryCodes;
+
+  // Each 30-second step is accepted once; forget the last one used, as if the next step had come
+  const nextCode = () => {
+    run('UPDATE user_two_factor SET last_used_step = NULL');
+    return TwoFactor.generateCode(secret, TwoFactor.currentStep());
+  };
+
+  before(async () => {
+    server = await startServer();
+    await createUser('alice');
+
+    alice = server.client();
+    await alice.login('alice');
+  });
+
+  after(() => server.close());
+
+  const login = (client, body) => client.post('/api/auth/login', body);
+
+  it('generates RFC 6238 codes', () => {
+    const rfcSecret = TwoFactor.base32Encode(Buffer.from('12345678901234567890'));
+
+    assert.equal(TwoFactor.generateCode(rfcSecret, 1), '287082');
+    assert.equal(TwoFactor.generateCode(rfcSecret, 37037036), '081804');
+  });
+
+  it('needs the password to start enrolling', async () => {
+    const response = await alice.post('/api/users/me/2fa', { password: 'wrong-password' });
+    assert.equal(response.status, 401);
+  });
+
+  it('is enabled once a first code is verified', async () => {
+    const start = await alice.post('/api/users/me/2fa', { password: 'password123' });
+    assert.equal(start.status, 201);
+    ({ secret } = start.body.data);
+    assert.match(start.body.data.otpauthUri, /^otpauth:\/\/totp\//);
+
+    const wrong = await alice.post('/api/users/me/2fa/verify', { code: '000000' });
+    assert.equal(wrong.status, 400);
+    assert.equal((await alice.get('/api/users/me/2fa')).body.data.enabled, false);
+
+    const verify = await alice.post('/api/users/me/2fa/verify', { code: nextCode() });
+    assert.equal(verify.status, 200);
+    ({ recoveryCodes } = verify.body.data);
+    assert.equal(recoveryCodes.length, TwoFactor.RECOVERY_CODE_COUNT);
+    assert.equal((await alice.get('/api/users/me/2fa')).body.data.enabled, true);
+  });
+
+  it('asks for a code after the password and only logs in once it is given', async () => {
+    const client = server.client();
+
+    const first = await login(client, { username: 'alice', password: 'password123' });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.data.twoFactorRequired, true);
+    assert.equal((await client.get('/api/users/me')).status, 401);
+
+    const second = await login(client, { code: nextCode() });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.data.user.username, 'alice');
+    assert.equal((await client.get('/api/users/me')).status, 200);
+  });
+
+  it('accepts each code only once', async () => {
+    const code = nextCode();
+
+    assert.equal((await login(server.client(), { username: 'alice', password: 'password123', code })).status, 200);
+
+    const replay = await login(server.client(), { username: 'alice', password: 'password123', code });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.error.code, 'INVALID_TWO_FACTOR_CODE');
+  });
+
+  it('counts wrong codes as failed logins', async () => {
+    const earlier = get("SELECT failures FROM login_throttles WHERE key = 'account:alice'")?.failures ?? 0;
+
+    const response = await login(server.client(), { username: 'alice', password: 'password123', code: '000000' });
+    assert.equal(response.status, 401);
+
+    const { failures } = get("SELECT failures FROM login_throttles WHERE key = 'account:alice'");
+    assert.equal(failures, earlier + 1);
+  });
+
+  it('accepts each recovery code once instead of a code', async () => {
+    const [recoveryCode] = recoveryCodes;
+    const body = { username: 'alice', password: 'password123', recoveryCode };
+
+    assert.equal((await login(server.client(), body)).status, 200);
+    assert.equal((await login(server.client(), body)).status, 401);
+  });
+
+  it('replaces the recovery codes when new ones are generated', async () => {
+    const response = await alice.post('/api/users/me/2fa/recovery-codes', { password: 'password123' });
+    assert.equal(response.status, 200);
+
+    const old = { username: 'alice', password: 'password123', recoveryCode: recoveryCodes[1] };
+    assert.equal((await login(server.client(), old)).status, 401);
+
+    const fresh = { username: 'alice', password: 'password123', recoveryCode: response.body.data.recoveryCodes[0] };
+    assert.equal((await login(server.client(), fresh)).status, 200);
+  });
+
+  it('logs in with the password alone once turned off', async () => {
+    assert.equal((await alice.delete('/api/users/me/2fa', { password: 'password123' })).status, 200);
+
+    const response = await login(server.client(), { username: 'alice', password: 'password123' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.user.username, 'alice');
+  });
+});